@@ -5,292 +5,1339 @@
  * Usage:
  *   const renderer = new ParticleRenderer(canvas, { autoRotate: true });
  *   await renderer.loadFrames('frames.json');
+ *   renderer.on('framechange', e => console.log(e.index));
  *   renderer.start();
+ *
+ * Events: load, morphstart, morphprogress, morphend, framechange,
+ *         start, stop, play, pause, ended, error, destroy
+ *
+ * Call renderer.destroy() when removing the canvas to release everything.
  */
 class ParticleRenderer {
   constructor(canvas, options = {}) {
     this.canvas = canvas;
     this.ctx = canvas.getContext('2d');
-    this.particles = [];
+    this.particles = ParticleRenderer.createParticleBuffer();
     this.frames = [];
     this.currentFrame = 0;
     this.running = false;
-    this.animTime = 0;
+    this.animTime = 0;            // Seconds of animated rotation time
+    this.width = 0;               // Drawing size in CSS pixels
+    this.height = 0;
+    this.pixelRatio = 1;          // Backing-store pixels per CSS pixel
+    this.units = 'px';            // Coordinate units of the loaded file
+    this.unitSize = 1;            // Authored pixels per file unit
     
     // Options with defaults
     this.options = {
       autoRotate: options.autoRotate ?? true,
       rotateSpeed: options.rotateSpeed ?? 0.5,
+      rotationRate: options.rotationRate ?? null,
       rotateX: options.rotateX ?? 0,
       rotateY: options.rotateY ?? 30,
       rotateZ: options.rotateZ ?? 0,
       particleSize: options.particleSize ?? 2,
+      shape: options.shape ?? 'circle',
+      drawMode: options.drawMode ?? 'auto',
       depthFog: options.depthFog ?? true,
       perspective: options.perspective ?? true,
       focalLength: options.focalLength ?? 800,
-      morphSpeed: options.morphSpeed ?? 0.02,
+      depthSort: options.depthSort ?? 'auto',
+      depthSortAngle: options.depthSortAngle ?? 2,
+      morphDuration: options.morphDuration ?? ParticleRenderer._morphSpeedToDuration(options.morphSpeed) ?? 800,
+      easing: options.easing ?? 'easeInOutCubic',
+      correspondence: options.correspondence ?? 'index',
+      transitionPolicy: options.transitionPolicy ?? 'ignore',
+      transitionStyle: options.transitionStyle ?? 'morph',
+      explodeDistance: options.explodeDistance ?? ParticleRenderer.TRANSITION_DEFAULTS.explodeDistance,
+      swirlAxis: options.swirlAxis ?? ParticleRenderer.TRANSITION_DEFAULTS.swirlAxis,
+      swirlTurns: options.swirlTurns ?? ParticleRenderer.TRANSITION_DEFAULTS.swirlTurns,
+      morphPath: options.morphPath ?? 'straight',
+      arcBend: options.arcBend ?? ParticleRenderer.TRANSITION_DEFAULTS.arcBend,
+      arcControl: options.arcControl ?? null,
+      spiralAxis: options.spiralAxis ?? ParticleRenderer.TRANSITION_DEFAULTS.spiralAxis,
+      spiralTurns: options.spiralTurns ?? ParticleRenderer.TRANSITION_DEFAULTS.spiralTurns,
+      pathNoise: options.pathNoise ?? ParticleRenderer.TRANSITION_DEFAULTS.pathNoise,
+      stagger: options.stagger ?? 0,
+      staggerBy: options.staggerBy ?? 'distance',
+      staggerOrigin: options.staggerOrigin ?? null,
+      intro: options.intro ?? 'none',
+      introDuration: options.introDuration ?? 1200,
+      outro: options.outro ?? 'none',
+      outroDuration: options.outroDuration ?? 800,
+      autoplay: options.autoplay ?? false,
+      holdTime: options.holdTime ?? 2000,
+      loopMode: options.loopMode ?? 'loop',
       backgroundColor: options.backgroundColor ?? 'rgba(0,0,0,0.1)',
+      trail: options.trail ?? null,
+      blendMode: options.blendMode ?? 'normal',
+      glow: options.glow ?? 0,
+      glowStrength: options.glowStrength ?? 0.6,
       scale: options.scale ?? 1,
+      fit: options.fit ?? 'none',
+      fitPadding: options.fitPadding ?? 20,
       centerX: options.centerX ?? null,
       centerY: options.centerY ?? null,
       hoverRotate: options.hoverRotate ?? false,
       hoverMax: options.hoverMax ?? 45,
+      orbitControls: options.orbitControls ?? false,
+      orbitSensitivity: options.orbitSensitivity ?? 0.4,
+      orbitDamping: options.orbitDamping ?? 0.92,
+      orbitPitchLimit: options.orbitPitchLimit ?? 85,
+      orbitResumeDelay: options.orbitResumeDelay ?? 2000,
+      zoomMin: options.zoomMin ?? 0.5,
+      zoomMax: options.zoomMax ?? 3,
+      zoomSpeed: options.zoomSpeed ?? 0.0015,
+      pointerForce: options.pointerForce ?? 'none',
+      forceRadius: options.forceRadius ?? 100,
+      forceStrength: options.forceStrength ?? 1,
+      forceStiffness: options.forceStiffness ?? 0.06,
+      forceDamping: options.forceDamping ?? 0.85,
+      shockwave: options.shockwave ?? false,
+      shockwaveStrength: options.shockwaveStrength ?? 1,
+      shockwaveRadius: options.shockwaveRadius ?? 300,
+      touchAction: options.touchAction ?? null,
+      autoResize: options.autoResize ?? true,
+      maxPixelRatio: options.maxPixelRatio ?? 2,
+      adaptiveQuality: options.adaptiveQuality ?? false,
+      targetFps: options.targetFps ?? 60,
+      pauseWhenHidden: options.pauseWhenHidden ?? true,
+      validation: options.validation ?? 'lenient',
+      useFileSettings: options.useFileSettings ?? true,
       ...options
     };
     
+    // Legacy per-frame option is mapped onto morphDuration
+    delete this.options.morphSpeed;
+    this._checkGatherOptions();
+    
+    // Options the host chose; render settings from a frame file never override them
+    this._explicitOptions = new Set(Object.keys(options));
+    if ('morphSpeed' in options) this._explicitOptions.add('morphDuration');
+    this.fileSettings = {};
+    
     this._boundAnimate = this._animate.bind(this);
     this._morphing = false;
     this._morphProgress = 0;
     this._staticRotX = 0;
     this._staticRotY = 0;
     this._staticRotZ = 0;
+    this._listeners = {};
+    this._queue = [];
+    this._scrub = null;
+    this._scrubCache = new Map();
+    this._drawGlow = null;
+    this._batchDrawer = null;
+    this._pixelDrawer = null;
+    this._forceField = ParticleRenderer.createForceField();
+    // Particles being replaced by a morph's, reused for the next morph
+    this._spareParticles = ParticleRenderer.createParticleBuffer();
+    this._rotation = new Float64Array(9);
+    this._depthSorter = ParticleRenderer.createDepthSorter();
+    this._quality = ParticleRenderer.createQualityController({ targetFps: this.options.targetFps });
+    
+    // Transition style of the morph in progress (see transitionStep)
+    this._morphStyle = 'morph';
+    this._morphParams = {};
+    this._transitionOut = { x: 0, y: 0, z: 0, mix: 0, fade: 1 };
+    
+    // Gather intro/outro: amount 1 = at the canvas edges, 0 = home.
+    // direction -1 gathers in, 1 scatters out, 0 waits for start()
+    this._gather = null;
+    this._introPlayed = false;
+    
+    // Orbit camera state (angles in radians, velocities in radians/ms)
+    this._orbitYaw = 0;
+    this._orbitPitch = 0;
+    this._orbitVelYaw = 0;
+    this._orbitVelPitch = 0;
+    this._zoom = 1;
+    this._dragging = false;
+    this._lastInteraction = -Infinity;
+    this._playing = this.options.autoplay;
+    this._holdElapsed = 0;
+    this._direction = 1;
+    this._resizeObserver = null;
+    this._dprQuery = null;
+    
+    // Where frames are placed: canvas center and pixels per file unit
+    this._layout = null;
+    this._contentBox = null;
+    
+    // DOM listeners added by the renderer, removed again by destroy()
+    this._domListeners = new Set();
+    this._rafId = null;
+    this._destroyed = false;
+    
+    // Rendering is suspended while the canvas is offscreen or the tab hidden
+    this._inView = true;
+    this._intersectionObserver = null;
+    this._boundVisibility = this._updateVisibility.bind(this);
     
+    this.resize();
+    if (this.options.autoResize) {
+      this._observeSize();
+    }
+    if (this.options.pauseWhenHidden) {
+      this._observeVisibility();
+    }
     if (this.options.hoverRotate) {
       this._setupHoverRotate();
     }
+    if (this.options.orbitControls) {
+      this._setupOrbitControls();
+    }
+    if (this.options.pointerForce !== 'none' || this.options.shockwave) {
+      this._setupForceField();
+    }
   }
 
-  // Load frames from JSON file or object
-  async loadFrames(source) {
-    let data;
-    if (typeof source === 'string') {
-      const response = await fetch(source);
-      data = await response.json();
-    } else {
-      data = source;
+  // Subscribe to a renderer event
+  on(type, listener) {
+    (this._listeners[type] ||= []).push(listener);
+    return this;
+  }
+
+  // Unsubscribe a listener (or all listeners of a type if none given)
+  off(type, listener) {
+    const list = this._listeners[type];
+    if (!list) return this;
+    if (!listener) {
+      delete this._listeners[type];
+      return this;
     }
-    
-    // Handle both single frame and multi-frame formats
-    if (data.frame) {
-      this.frames = [this._normalizeFrame(data.frame)];
-    } else if (data.frames) {
-      this.frames = data.frames.map(f => this._normalizeFrame(f));
-    } else if (Array.isArray(data)) {
-      this.frames = data.map(f => this._normalizeFrame(f));
+    this._listeners[type] = list.filter(l => l !== listener && l._original !== listener);
+    return this;
+  }
+
+  // Subscribe to the next occurrence of an event only
+  once(type, listener) {
+    const wrapper = (e) => {
+      this.off(type, wrapper);
+      listener.call(this, e);
+    };
+    wrapper._original = listener;
+    return this.on(type, wrapper);
+  }
+
+  _emit(type, detail = {}) {
+    const list = this._listeners[type];
+    if (!list || list.length === 0) {
+      // Never swallow errors silently when nobody is listening
+      if (type === 'error' && detail.source !== 'load') console.error(detail.error);
+      return;
+    }
+    const event = { type, target: this, ...detail };
+    // Copy so listeners may unsubscribe while being called
+    for (const listener of list.slice()) {
+      try {
+        listener.call(this, event);
+      } catch (err) {
+        if (type === 'error') {
+          console.error(err);
+        } else {
+          this._emit('error', { error: err, source: type });
+        }
+      }
+    }
+  }
+
+  // Load frames from a URL (JSON or binary), a frames object, or an
+  // ArrayBuffer/typed array in the binary format
+  async loadFrames(source) {
+    let data, result;
+    try {
+      if (typeof source === 'string') {
+        const response = await fetch(source);
+        if (!response.ok) {
+          throw new Error(`Failed to load ${source}: ${response.status} ${response.statusText}`);
+        }
+        // Either format may be served under any name, so sniff the content
+        const buffer = await response.arrayBuffer();
+        data = ParticleRenderer.isBinaryFrames(buffer)
+          ? ParticleRenderer.decodeFrames(buffer)
+          : JSON.parse(new TextDecoder().decode(buffer));
+      } else if (source instanceof ArrayBuffer || ArrayBuffer.isView(source)) {
+        data = ParticleRenderer.decodeFrames(source);
+      } else {
+        data = source;
+      }
+      
+      // Handles single frame, multi-frame and bare array formats
+      result = ParticleRenderer.validateFrames(data, { mode: this.options.validation });
+      if (!result.valid) {
+        const err = new Error(`Invalid frame data: ${ParticleRenderer.formatIssues(result.errors)}`);
+        err.errors = result.errors;
+        err.warnings = result.warnings;
+        throw err;
+      }
+    } catch (err) {
+      this._emit('error', { error: err, source: 'load' });
+      throw err;
     }
     
-    if (this.frames.length > 0) {
-      this._loadFrame(0);
+    this.fileSettings = result.data.render;
+    if (this.options.useFileSettings) {
+      this._applyFileSettings();
     }
+    this.units = result.data.units;
+    this.unitSize = result.data.unitSize;
+    this._setFrames(result.data.frames.map(f => this._normalizeFrame(f)));
+    this._loadFrame(0);
+    this._emit('load', { frameCount: this.frames.length, warnings: result.warnings });
     return this;
   }
 
   // Load a single frame directly from points array
   loadPoints(points) {
-    this.frames = [{ points: points.map(p => ({
-      x: p.x, y: p.y, z: p.z || 0,
-      r: p.r ?? 74, g: p.g ?? 222, b: p.b ?? 128
-    }))}];
+    this.units = 'px';
+    this.unitSize = 1;
+    this._setFrames([this._normalizeFrame({ points })]);
     this._loadFrame(0);
+    this._emit('load', { frameCount: this.frames.length });
     return this;
   }
 
   _normalizeFrame(frame) {
     return {
       name: frame.name || 'Frame',
+      hold: frame.hold,
+      origin: frame.origin,
+      bounds: frame.bounds,
+      tags: frame.tags ?? [],
       points: frame.points.map(p => ({
         x: p.x ?? p.targetX,
         y: p.y ?? p.targetY,
         z: p.z ?? p.baseZ ?? 0,
         r: p.r ?? 74,
         g: p.g ?? 222,
-        b: p.b ?? 128
+        b: p.b ?? 128,
+        size: p.size ?? 1,
+        a: p.a ?? 1
       }))
     };
   }
 
-  _loadFrame(index) {
-    const frame = this.frames[index];
-    if (!frame) return;
+  _setFrames(frames) {
+    this.frames = frames;
+    this._contentBox = this._measureContent();
+    this._updateLayout();
+  }
+
+  // Half extents of all frames around their origins, in file units. Depth
+  // is folded in so content rotating about X or Y still fits.
+  _measureContent() {
+    let halfWidth = 0, halfHeight = 0;
+    for (const frame of this.frames) {
+      const pts = frame.points;
+      if (pts.length === 0) continue;
+      const ox = frame.origin?.x ?? pts.reduce((s, p) => s + p.x, 0) / pts.length;
+      const oy = frame.origin?.y ?? pts.reduce((s, p) => s + p.y, 0) / pts.length;
+      const oz = frame.origin?.z ?? 0;
+      for (const p of pts) {
+        const dx = p.x - ox, dy = p.y - oy, dz = p.z - oz;
+        halfWidth = Math.max(halfWidth, Math.hypot(dx, dz));
+        halfHeight = Math.max(halfHeight, Math.hypot(dy, dz));
+      }
+    }
+    return { halfWidth, halfHeight };
+  }
+
+  // Canvas position of the frame origin and pixels per file unit: options.scale
+  // times the fit to the canvas, or times the file's unitSize when not fitting
+  _computeLayout() {
+    const centerX = this.options.centerX ?? this.width / 2;
+    const centerY = this.options.centerY ?? this.height / 2;
+    const fit = this.options.fit;
+    const box = this._contentBox;
+    let scale = this.options.scale * this.unitSize;
+    
+    if ((fit === 'contain' || fit === 'cover') && box && (box.halfWidth > 0 || box.halfHeight > 0)) {
+      const pad = this.options.fitPadding;
+      const sx = Math.max(0, this.width - 2 * pad) / (2 * box.halfWidth);
+      const sy = Math.max(0, this.height - 2 * pad) / (2 * box.halfHeight);
+      // A flat line has no extent on one axis (Infinity there), so fit the other
+      let k;
+      if (!Number.isFinite(sx)) k = sy;
+      else if (!Number.isFinite(sy)) k = sx;
+      else k = fit === 'contain' ? Math.min(sx, sy) : Math.max(sx, sy);
+      scale = k * this.options.scale;
+    }
+    // Never collapse to zero (e.g. a canvas not laid out yet) so the layout
+    // can still be scaled back up when the canvas gets a size
+    return { centerX, centerY, scale: Math.max(scale, 1e-6) };
+  }
+
+  // Recompute the layout and move existing particles (including running
+  // morphs and cached scrubs) to it
+  _updateLayout() {
+    const next = this._computeLayout();
+    const prev = this._layout;
+    this._layout = next;
+    if (!prev) return;
+    if (prev.centerX === next.centerX && prev.centerY === next.centerY && prev.scale === next.scale) return;
     
-    const centerX = this.options.centerX ?? this.canvas.width / 2;
-    const centerY = this.options.centerY ?? this.canvas.height / 2;
-    const scale = this.options.scale;
+    const k = next.scale / prev.scale;
+    const mapX = x => next.centerX + (x - prev.centerX) * k;
+    const mapY = y => next.centerY + (y - prev.centerY) * k;
+    for (const list of new Set([this.particles, ...this._scrubCache.values()])) {
+      for (let i = 0; i < list.length; i++) {
+        list.baseX[i] = mapX(list.baseX[i]); list.baseY[i] = mapY(list.baseY[i]); list.baseZ[i] *= k;
+        list.morphStartX[i] = mapX(list.morphStartX[i]);
+        list.morphStartY[i] = mapY(list.morphStartY[i]);
+        list.morphStartZ[i] *= k;
+        list.morphTargetX[i] = mapX(list.morphTargetX[i]);
+        list.morphTargetY[i] = mapY(list.morphTargetY[i]);
+        list.morphTargetZ[i] *= k;
+      }
+    }
+  }
+
+  // Draw function for options.shape, rebuilt when the option changes
+  _shapeDrawer() {
+    if (this._drawShapeFor !== this.options.shape || !this._drawShape) {
+      this._drawShapeFor = this.options.shape;
+      this._drawShape = ParticleRenderer.createShapeDrawer(this.options.shape);
+    }
+    return this._drawShape;
+  }
+
+  // Use the file's render settings for every option the host didn't set
+  _applyFileSettings() {
+    for (const [key, value] of Object.entries(this.fileSettings)) {
+      if (!this._explicitOptions.has(key)) this.options[key] = value;
+    }
+    this._checkGatherOptions();
+  }
+  
+  // Replace an unknown intro/outro (a typo, say) with 'none', warning once
+  _checkGatherOptions() {
+    for (const option of ['intro', 'outro']) {
+      const style = this.options[option];
+      if (!ParticleRenderer.GATHER_STYLES.includes(style)) {
+        console.warn(`ParticleRenderer: unknown ${option}, using 'none'`, style);
+        this.options[option] = 'none';
+      }
+    }
+  }
+
+  // Metadata of a frame (defaults to the current one)
+  getFrameInfo(index = this.currentFrame) {
+    const frame = this.frames[index];
+    if (!frame) return null;
+    return {
+      index,
+      name: frame.name,
+      hold: frame.hold,
+      tags: frame.tags.slice(),
+      origin: frame.origin,
+      bounds: frame.bounds,
+      pointCount: frame.points.length
+    };
+  }
+
+  // Frame points positioned on the canvas (centered and scaled)
+  _framePoints(index) {
+    const { centerX, centerY, scale } = this._layout;
     
-    // Calculate frame center for proper centering
+    // The frame's origin (or its centroid) goes to the canvas center
+    const frame = this.frames[index];
     const pts = frame.points;
-    const fcx = pts.reduce((s, p) => s + p.x, 0) / pts.length;
-    const fcy = pts.reduce((s, p) => s + p.y, 0) / pts.length;
-    
-    this.particles = pts.map(p => ({
-      baseX: centerX + (p.x - fcx) * scale,
-      baseY: centerY + (p.y - fcy) * scale,
-      baseZ: p.z * scale,
-      x: 0, y: 0, z: 0,
+    if (pts.length === 0) return [];
+    const fcx = frame.origin?.x ?? pts.reduce((s, p) => s + p.x, 0) / pts.length;
+    const fcy = frame.origin?.y ?? pts.reduce((s, p) => s + p.y, 0) / pts.length;
+    const fcz = frame.origin?.z ?? 0;
+    
+    return pts.map(p => ({
+      x: centerX + (p.x - fcx) * scale,
+      y: centerY + (p.y - fcy) * scale,
+      z: (p.z - fcz) * scale,
       r: p.r, g: p.g, b: p.b,
-      size: this.options.particleSize,
-      opacity: 1,
-      // Morph state
-      morphStartX: 0, morphStartY: 0, morphStartZ: 0,
-      morphTargetX: 0, morphTargetY: 0, morphTargetZ: 0,
-      morphStartR: p.r, morphStartG: p.g, morphStartB: p.b,
-      morphTargetR: p.r, morphTargetG: p.g, morphTargetB: p.b,
-      remove: false
+      size: p.size, a: p.a
     }));
+  }
+
+  // Particles resting on a frame's points, written to `into` (a new buffer
+  // by default)
+  _frameParticles(index, into = ParticleRenderer.createParticleBuffer()) {
+    const points = this._framePoints(index);
+    into.resize(0);
+    into.resize(points.length);
+    for (let i = 0; i < points.length; i++) {
+      const p = points[i];
+      into.baseX[i] = into.screenX[i] = p.x;
+      into.baseY[i] = into.screenY[i] = p.y;
+      into.baseZ[i] = p.z;
+      into.r[i] = into.morphStartR[i] = into.morphTargetR[i] = p.r;
+      into.g[i] = into.morphStartG[i] = into.morphTargetG[i] = p.g;
+      into.b[i] = into.morphStartB[i] = into.morphTargetB[i] = p.b;
+      into.size[i] = into.morphStartSize[i] = into.morphTargetSize[i] = p.size;
+      into.alpha[i] = into.morphStartAlpha[i] = into.morphTargetAlpha[i] = p.a;
+    }
+    return into;
+  }
+
+  _loadFrame(index) {
+    const frame = this.frames[index];
+    if (!frame) return;
+    
+    // Cached scrub pairings are dropped below, so the live buffer is free to refill
+    this._frameParticles(index, this.particles);
     
+    this._morphing = false;
+    this._scrub = null;
+    this._scrubCache.clear();
+    this._queue.length = 0;
+    this._setCurrentFrame(index);
+  }
+
+  _setCurrentFrame(index) {
+    const previous = this.currentFrame;
     this.currentFrame = index;
+    if (previous !== index) {
+      this._emit('framechange', { index, previous });
+    }
   }
 
   // Start animation loop
   start() {
+    if (this._destroyed) return this;
+    if (this._gather && this._gather.direction >= 0) {
+      // Gather back in after (or during) an outro
+      this._gather.direction = -1;
+      this._gather.duration = this.options.introDuration;
+    }
     if (this.running) return this;
     this.running = true;
-    this._lastTime = performance.now();
-    requestAnimationFrame(this._boundAnimate);
+    this._scheduleFrame();
+    this._emit('start');
     return this;
   }
 
-  // Stop animation loop
-  stop() {
+  // Stop animation loop. With an outro the particles scatter out first and
+  // 'stop' fires once they're gone; pass immediate = true to skip it.
+  stop(immediate = false) {
+    if (!this.running) return this;
+    const outro = !immediate && this.particles.length > 0 && !this._suspended &&
+      ParticleRenderer.isGather(this.options.outro);
+    if (outro) {
+      if (!this._gather || this._gather.direction < 0) {
+        this._startGather(1, this.options.outroDuration);
+      }
+      return this;
+    }
+    if (immediate) this._gather = null;
     this.running = false;
+    this._cancelFrame();
+    this._emit('stop');
     return this;
   }
+  
+  // Begin gathering in (direction -1) from the canvas edges or scattering
+  // out (1) to them, continuing from wherever a running one has got to
+  _startGather(direction, duration) {
+    const amount = this._gather ? this._gather.amount : (direction < 0 ? 1 : 0);
+    if (!this._gather) {
+      for (let i = 0; i < this.particles.length; i++) this._pickGatherPoint(i);
+    }
+    this._gather = { amount, direction, duration };
+  }
+  
+  _pickGatherPoint(i) {
+    const edge = ParticleRenderer.edgePoint(this.width, this.height);
+    this.particles.gatherX[i] = edge.x;
+    this.particles.gatherY[i] = edge.y;
+  }
+  
+  // Advance the intro/outro by dt ms
+  _updateGather(dt) {
+    const gather = this._gather;
+    if (gather.direction === 0) return;
+    const step = gather.duration > 0 ? dt / gather.duration : 1;
+    gather.amount = Math.min(1, Math.max(0, gather.amount + step * gather.direction));
+    if (gather.direction < 0 && gather.amount === 0) {
+      this._gather = null;
+      this._emit('introend');
+    } else if (gather.direction > 0 && gather.amount === 1) {
+      // Scattered: stop, and wait at the edges for start() to gather back in
+      gather.direction = 0;
+      this.running = false;
+      this._cancelFrame();
+      this._emit('stop');
+    }
+  }
+
+  // Request the next animation frame unless one is pending or rendering is suspended
+  _scheduleFrame() {
+    if (this._rafId !== null || !this.running || this._suspended) return;
+    // Resume without counting the paused time as elapsed
+    this._lastTime = performance.now();
+    this._rafId = requestAnimationFrame(this._boundAnimate);
+  }
+
+  _cancelFrame() {
+    if (this._rafId === null) return;
+    cancelAnimationFrame(this._rafId);
+    this._rafId = null;
+  }
+
+  // True while pauseWhenHidden holds the loop because nothing would be seen
+  get _suspended() {
+    if (!this.options.pauseWhenHidden) return false;
+    return !this._inView || (typeof document !== 'undefined' && document.hidden === true);
+  }
+
+  // Pause or resume drawing after a visibility change
+  _updateVisibility() {
+    if (this._suspended) this._cancelFrame();
+    else this._scheduleFrame();
+  }
+
+  // Watch the canvas entering/leaving the viewport and the tab being hidden
+  _observeVisibility() {
+    if (!this._intersectionObserver && typeof IntersectionObserver !== 'undefined') {
+      this._intersectionObserver = new IntersectionObserver((entries) => {
+        this._inView = entries[entries.length - 1].isIntersecting;
+        this._updateVisibility();
+      });
+      this._intersectionObserver.observe(this.canvas);
+    }
+    if (!this._visibilityListener && typeof document !== 'undefined') {
+      this._visibilityListener = this._listen(document, 'visibilitychange', this._boundVisibility);
+    }
+  }
+
+  _unobserveVisibility() {
+    if (this._intersectionObserver) {
+      this._intersectionObserver.disconnect();
+      this._intersectionObserver = null;
+    }
+    if (this._visibilityListener) {
+      this._visibilityListener();
+      this._visibilityListener = null;
+    }
+    this._inView = true;
+  }
+
+  // Add a DOM listener that destroy() removes; returns a function removing it early
+  _listen(target, type, listener, options) {
+    target.addEventListener(type, listener, options);
+    const remove = () => {
+      if (!this._domListeners.delete(remove)) return;
+      target.removeEventListener(type, listener, options);
+    };
+    this._domListeners.add(remove);
+    return remove;
+  }
+
+  // Stop rendering and release the canvas: cancels the animation frame,
+  // removes every DOM listener and observer, clears event subscriptions
+  // and drops frame and particle data. The renderer can't be restarted.
+  destroy() {
+    if (this._destroyed) return;
+    this.stop(true);
+    this._emit('destroy');
+    this._destroyed = true;
+    this._cancelFrame();
+    
+    this._unobserveSize();
+    this._unobserveVisibility();
+    for (const remove of [...this._domListeners]) remove();
+    this._gather = null;
+    
+    if (this._orbitSetup || this._hoverSetup || this._forceSetup) {
+      this.canvas.style.cursor = '';
+      this.canvas.style.touchAction = '';
+    }
+    this._hoverSetup = false;
+    this._orbitSetup = false;
+    this._forceSetup = false;
+    this._forceField = ParticleRenderer.createForceField();
+    this._dragging = false;
+    
+    this._listeners = {};
+    this._queue.length = 0;
+    this._scrub = null;
+    this._scrubCache.clear();
+    this._drawShape = null;
+    this._drawGlow = null;
+    this._batchDrawer = null;
+    this._pixelDrawer = null;
+    this._morphing = false;
+    this._playing = false;
+    this.particles = ParticleRenderer.createParticleBuffer();
+    this._spareParticles = ParticleRenderer.createParticleBuffer();
+    this.frames = [];
+  }
 
   // Morph to next frame
-  next() {
-    if (this.frames.length < 2 || this._morphing) return this;
-    const nextIndex = (this.currentFrame + 1) % this.frames.length;
-    this._morphTo(nextIndex);
-    return this;
+  // transition: optional { duration, easing, delay } overriding the options
+  next(transition) {
+    if (this.frames.length < 2) return this;
+    const nextIndex = (this._pendingFrame() + 1) % this.frames.length;
+    return this._requestMorph(nextIndex, transition);
   }
 
   // Morph to previous frame
-  prev() {
-    if (this.frames.length < 2 || this._morphing) return this;
-    const prevIndex = (this.currentFrame - 1 + this.frames.length) % this.frames.length;
-    this._morphTo(prevIndex);
-    return this;
+  prev(transition) {
+    if (this.frames.length < 2) return this;
+    const prevIndex = (this._pendingFrame() - 1 + this.frames.length) % this.frames.length;
+    return this._requestMorph(prevIndex, transition);
   }
 
   // Morph to specific frame index
-  goTo(index) {
-    if (index < 0 || index >= this.frames.length || this._morphing) return this;
+  goTo(index, transition) {
+    if (index < 0 || index >= this.frames.length) return this;
+    return this._requestMorph(index, transition);
+  }
+
+  // Start the autoplay sequence (frames advance after their hold time)
+  play() {
+    if (this._playing) return this;
+    this._playing = true;
+    this._holdElapsed = 0;
+    this._emit('play', { index: this.currentFrame });
+    // A finished play-once sequence starts over
+    if (this.options.loopMode === 'once' && this.currentFrame === this.frames.length - 1) {
+      this.seek(0);
+    }
+    return this;
+  }
+
+  // Pause the autoplay sequence (a running morph still finishes)
+  pause() {
+    if (!this._playing) return this;
+    this._playing = false;
+    this._emit('pause', { index: this.currentFrame });
+    return this;
+  }
+
+  // Jump the sequence to a frame and restart its hold time.
+  // transition: as for goTo(); pass { duration: 0 } to cut without morphing
+  seek(index, transition) {
+    if (index < 0 || index >= this.frames.length) return this;
+    this._queue.length = 0;
+    this._holdElapsed = 0;
+    // Already on (or morphing towards) that frame: let any morph finish
     if (index === this.currentFrame) return this;
-    this._morphTo(index);
+    if (this._morphing) {
+      this._emit('morphend', { from: this._morphFrom, to: this.currentFrame, interrupted: true });
+      this._morphing = false;
+    }
+    this._morphTo(index, transition);
     return this;
   }
 
-  _morphTo(targetIndex) {
-    const targetFrame = this.frames[targetIndex];
-    const centerX = this.options.centerX ?? this.canvas.width / 2;
-    const centerY = this.options.centerY ?? this.canvas.height / 2;
-    const scale = this.options.scale;
+  // Hold time of a frame in ms (per-frame value from the file, else holdTime)
+  _holdFor(index) {
+    return this.frames[index]?.hold ?? this.options.holdTime;
+  }
+
+  _updateSequence(dt) {
+    if (this.frames.length < 2) return;
+    this._holdElapsed += dt;
+    if (this._holdElapsed < this._holdFor(this.currentFrame)) return;
+    
+    const step = ParticleRenderer.sequenceStep(
+      this.currentFrame, this.frames.length, this.options.loopMode, this._direction
+    );
+    if (!step) {
+      this._playing = false;
+      this._emit('ended', { index: this.currentFrame });
+      return;
+    }
+    this._direction = step.direction;
+    this._morphTo(step.index);
+  }
+
+  // Show the morph from one frame to another frozen at progress t (0-1),
+  // e.g. driven by scroll position. Nothing is committed until
+  // commitProgress() or cancelProgress() is called; scrubbing in either
+  // direction is allowed. options: { easing } (defaults to options.easing)
+  setProgress(fromIndex, toIndex, t, options = {}) {
+    if (!this.frames[fromIndex] || !this.frames[toIndex]) return this;
+    if (this._morphing) {
+      this._emit('morphend', { from: this._morphFrom, to: this.currentFrame, interrupted: true });
+      this._morphing = false;
+    }
+    this._queue.length = 0;
     
-    const pts = targetFrame.points;
-    const fcx = pts.reduce((s, p) => s + p.x, 0) / pts.length;
-    const fcy = pts.reduce((s, p) => s + p.y, 0) / pts.length;
+    // Pair the two frames once and reuse the result while scrubbing
+    const key = fromIndex + '>' + toIndex;
+    let particles = this._scrubCache.get(key);
+    const paired = !particles;
+    if (paired) {
+      particles = this._prepareMorph(this._frameParticles(fromIndex), this._framePoints(toIndex));
+      this._scrubCache.set(key, particles);
+    }
     
-    const targetPoints = pts.map(p => ({
-      x: centerX + (p.x - fcx) * scale,
-      y: centerY + (p.y - fcy) * scale,
-      z: p.z * scale,
-      r: p.r, g: p.g, b: p.b
-    }));
+    const progress = Math.min(1, Math.max(0, t));
+    const ease = ParticleRenderer.resolveEasing(options.easing ?? this.options.easing);
+    this._scrub = { from: fromIndex, to: toIndex, progress, ease, key };
+    this.particles = particles;
+    // Stagger order is fixed when the frames are paired, so scrubbing doesn't reshuffle it
+    this._setMorphStyle(options, paired);
+    const eased = ease(progress);
+    this._applyMorph(eased);
+    this._depthSorter.invalidate();
+    this._emit('morphprogress', { from: fromIndex, to: toIndex, progress, eased, scrubbing: true });
+    return this;
+  }
+
+  // Finish a scrubbed morph, animating the remainder towards its target frame.
+  // transition: { duration } for a full 0-1 morph (defaults to morphDuration)
+  commitProgress(transition = {}) {
+    const scrub = this._scrub;
+    if (!scrub) return this;
+    this._endScrub();
+    this._startScrubbedMorph(scrub.from, scrub.to, scrub.progress, scrub.ease, transition);
+    return this;
+  }
+
+  // Abandon a scrubbed morph, animating back to the frame it started from
+  cancelProgress(transition = {}) {
+    const scrub = this._scrub;
+    if (!scrub) return this;
+    this._endScrub();
     
-    // Add particles if needed
-    while (this.particles.length < targetPoints.length) {
-      const src = this.particles[Math.floor(Math.random() * this.particles.length)];
-      this.particles.push({
-        baseX: src.baseX, baseY: src.baseY, baseZ: src.baseZ,
-        x: 0, y: 0, z: 0,
-        r: src.r, g: src.g, b: src.b,
-        size: this.options.particleSize, opacity: 1,
-        morphStartX: 0, morphStartY: 0, morphStartZ: 0,
-        morphTargetX: 0, morphTargetY: 0, morphTargetZ: 0,
-        morphStartR: src.r, morphStartG: src.g, morphStartB: src.b,
-        morphTargetR: src.r, morphTargetG: src.g, morphTargetB: src.b,
-        remove: false
-      });
+    // Run the same path backwards: swap ends, mirror progress and easing.
+    // Whole arrays swap; clones are the ones to remove this time.
+    const P = this.particles;
+    for (const end of ['X', 'Y', 'Z', 'R', 'G', 'B', 'Size', 'Alpha']) {
+      [P['morphStart' + end], P['morphTarget' + end]] = [P['morphTarget' + end], P['morphStart' + end]];
+    }
+    const { remove, spawned } = ParticleRenderer.PARTICLE_FLAGS;
+    for (let i = 0; i < P.length; i++) {
+      P.flags[i] = P.flags[i] & spawned ? P.flags[i] | remove : P.flags[i] & ~remove;
+    }
+    const ease = scrub.ease;
+    this._morphParams = { ...this._morphParams, reverse: !this._morphParams.reverse };
+    this._startScrubbedMorph(scrub.to, scrub.from, 1 - scrub.progress, t => 1 - ease(1 - t), transition);
+    return this;
+  }
+
+  _endScrub() {
+    // The cached pairing now belongs to live particles
+    this._scrubCache.delete(this._scrub.key);
+    this._scrub = null;
+  }
+
+  _startScrubbedMorph(fromIndex, toIndex, progress, ease, transition) {
+    this._morphing = true;
+    this._morphProgress = progress;
+    this._morphDuration = transition.duration ?? this.options.morphDuration;
+    this._morphDelay = 0;
+    this._morphEase = ease;
+    this._morphFrom = fromIndex;
+    this._holdElapsed = 0;
+    this._emit('morphstart', { from: fromIndex, to: toIndex });
+    this._setCurrentFrame(toIndex);
+  }
+
+  // Drive setProgress() from the scroll position of a (tall) element.
+  // Progress runs from 0 when the element's top reaches the top of the
+  // viewport to 1 when its bottom reaches the bottom, spread evenly over
+  // `frames` (default: every frame in order). Returns an unbind function.
+  bindScroll(element, { frames, easing } = {}) {
+    const update = () => {
+      const sequence = frames ?? this.frames.map((_, i) => i);
+      const segments = sequence.length - 1;
+      if (segments < 1) return;
+      
+      const rect = element.getBoundingClientRect();
+      const range = rect.height - window.innerHeight;
+      const progress = range > 0
+        ? Math.min(1, Math.max(0, -rect.top / range))
+        : (rect.top <= 0 ? 1 : 0);
+      
+      const position = progress * segments;
+      const segment = Math.min(Math.floor(position), segments - 1);
+      this.setProgress(sequence[segment], sequence[segment + 1], position - segment, { easing });
+    };
+    
+    const removeScroll = this._listen(window, 'scroll', update, { passive: true });
+    const removeResize = this._listen(window, 'resize', update);
+    if (this.frames.length > 0) update();
+    else this.once('load', update);
+    
+    return () => {
+      removeScroll();
+      removeResize();
+      this.off('load', update);
+    };
+  }
+
+  // Drop morphs waiting in the queue (transitionPolicy 'queue')
+  clearQueue() {
+    this._queue.length = 0;
+    return this;
+  }
+
+  // Frame the renderer will end up on once queued morphs have run
+  _pendingFrame() {
+    const last = this._queue[this._queue.length - 1];
+    return last ? last.index : this.currentFrame;
+  }
+
+  // Start a morph, or apply transitionPolicy if one is already running
+  _requestMorph(index, transition) {
+    if (!this._morphing) {
+      if (index !== this.currentFrame) this._morphTo(index, transition);
+      return this;
+    }
+    
+    switch (this.options.transitionPolicy) {
+      case 'queue':
+        if (index !== this._pendingFrame()) {
+          this._queue.push({ index, transition });
+        }
+        break;
+      case 'interrupt':
+        // Retarget from the current interpolated positions, so nothing jumps
+        if (index !== this.currentFrame) {
+          this._emit('morphend', { from: this._morphFrom, to: this.currentFrame, interrupted: true });
+          this._morphTo(index, transition);
+        }
+        break;
+      default:
+        // 'ignore': drop requests made while morphing
+        break;
+    }
+    return this;
+  }
+
+  // Pair particles with target points and set their morph start/targets,
+  // writing the particles to animate (clones added, none removed yet) to
+  // `into` (a new buffer by default; never `particles` itself).
+  // Returns: into
+  _prepareMorph(particles, targetPoints, into = ParticleRenderer.createParticleBuffer()) {
+    // Decide which particle travels to which target point
+    const sources = [];
+    for (let i = 0; i < particles.length; i++) {
+      sources.push({ x: particles.baseX[i], y: particles.baseY[i], z: particles.baseZ[i] });
     }
+    const matches = ParticleRenderer.matchPoints(sources, targetPoints, this.options.correspondence);
+    const cloning = targetPoints.length > particles.length;
+    const { remove, spawned } = ParticleRenderer.PARTICLE_FLAGS;
+    // Morphing from or to nothing: particles fade in from, or out into, the center
+    const { centerX, centerY } = this._layout;
     
-    // Set morph targets
-    for (let i = 0; i < this.particles.length; i++) {
-      const p = this.particles[i];
-      p.morphStartX = p.baseX;
-      p.morphStartY = p.baseY;
-      p.morphStartZ = p.baseZ;
-      p.morphStartR = p.r;
-      p.morphStartG = p.g;
-      p.morphStartB = p.b;
-      
-      if (i < targetPoints.length) {
-        const t = targetPoints[i];
-        p.morphTargetX = t.x;
-        p.morphTargetY = t.y;
-        p.morphTargetZ = t.z;
-        p.morphTargetR = t.r;
-        p.morphTargetG = t.g;
-        p.morphTargetB = t.b;
-        p.remove = false;
+    into.resize(0);
+    into.resize(matches.length);
+    for (let i = 0; i < matches.length; i++) {
+      const { from, to, extra } = matches[i];
+      if (from < 0) {
+        // Nothing to clone: start at the center in the target's colour and size
+        const t = targetPoints[to];
+        into.baseX[i] = into.screenX[i] = centerX;
+        into.baseY[i] = into.screenY[i] = centerY;
+        into.r[i] = t.r;
+        into.g[i] = t.g;
+        into.b[i] = t.b;
+        into.size[i] = t.size;
       } else {
-        const t = targetPoints[Math.floor(Math.random() * targetPoints.length)];
-        p.morphTargetX = t.x;
-        p.morphTargetY = t.y;
-        p.morphTargetZ = t.z;
-        p.morphTargetR = t.r;
-        p.morphTargetG = t.g;
-        p.morphTargetB = t.b;
-        p.remove = true;
+        // Clones spawn on top of their source
+        into.copy(from, i, particles);
       }
+      // Excess sources merge into their target and are removed afterwards
+      into.flags[i] = (cloning && extra ? spawned : 0) | (extra && !cloning ? remove : 0);
+      into.morphSeed[i] = Math.random();
+      into.morphStartX[i] = into.baseX[i];
+      into.morphStartY[i] = into.baseY[i];
+      into.morphStartZ[i] = into.baseZ[i];
+      into.morphStartR[i] = into.r[i];
+      into.morphStartG[i] = into.g[i];
+      into.morphStartB[i] = into.b[i];
+      into.morphStartSize[i] = into.size[i];
+      into.morphStartAlpha[i] = into.alpha[i];
+      
+      const t = to >= 0 ? targetPoints[to]
+        : { x: centerX, y: centerY, z: 0, r: into.r[i], g: into.g[i], b: into.b[i], size: into.size[i], a: 0 };
+      into.morphTargetX[i] = t.x;
+      into.morphTargetY[i] = t.y;
+      into.morphTargetZ[i] = t.z;
+      into.morphTargetR[i] = t.r;
+      into.morphTargetG[i] = t.g;
+      into.morphTargetB[i] = t.b;
+      into.morphTargetSize[i] = t.size;
+      into.morphTargetAlpha[i] = t.a;
+    }
+    return into;
+  }
+
+  // Move particles to eased morph progress t
+  _applyMorph(t) {
+    const params = this._morphParams;
+    if (this._morphStyle !== 'morph' || params.path !== 'straight' || params.stagger > 0) {
+      this._applyStyledMorph(t);
+      return;
+    }
+    const P = this.particles;
+    for (let i = 0; i < P.length; i++) {
+      P.baseX[i] = P.morphStartX[i] + (P.morphTargetX[i] - P.morphStartX[i]) * t;
+      P.baseY[i] = P.morphStartY[i] + (P.morphTargetY[i] - P.morphStartY[i]) * t;
+      P.baseZ[i] = P.morphStartZ[i] + (P.morphTargetZ[i] - P.morphStartZ[i]) * t;
+      this._mixAppearance(i, t, 1);
+    }
+  }
+  
+  // Colour, size and opacity of particle i a share mix of the way to its
+  // target, opacity multiplied by fade
+  _mixAppearance(i, mix, fade) {
+    const P = this.particles;
+    P.r[i] = Math.round(P.morphStartR[i] + (P.morphTargetR[i] - P.morphStartR[i]) * mix);
+    P.g[i] = Math.round(P.morphStartG[i] + (P.morphTargetG[i] - P.morphStartG[i]) * mix);
+    P.b[i] = Math.round(P.morphStartB[i] + (P.morphTargetB[i] - P.morphStartB[i]) * mix);
+    P.size[i] = P.morphStartSize[i] + (P.morphTargetSize[i] - P.morphStartSize[i]) * mix;
+    P.alpha[i] = (P.morphStartAlpha[i] + (P.morphTargetAlpha[i] - P.morphStartAlpha[i]) * mix) * fade;
+  }
+
+  // _applyMorph for other styles, curved paths and staggering
+  _applyStyledMorph(t) {
+    const out = this._transitionOut;
+    const center = { x: this._layout.centerX, y: this._layout.centerY, z: 0 };
+    const P = this.particles;
+    for (let i = 0; i < P.length; i++) {
+      ParticleRenderer.transitionStep(out, this._morphStyle, P, i, t, center, this._morphParams);
+      P.baseX[i] = out.x;
+      P.baseY[i] = out.y;
+      P.baseZ[i] = out.z;
+      this._mixAppearance(i, out.mix, out.fade);
     }
+  }
+
+  _morphTo(targetIndex, transition = {}) {
+    if (this._scrub) this._endScrub();
+    // Double-buffered: the particles being replaced are refilled next morph
+    const previous = this.particles;
+    this.particles = this._prepareMorph(previous, this._framePoints(targetIndex), this._spareParticles);
+    this._spareParticles = previous;
     
+    const fromIndex = this.currentFrame;
+    this._holdElapsed = 0;
     this._morphing = true;
     this._morphProgress = 0;
-    this.currentFrame = targetIndex;
+    this._morphDuration = transition.duration ?? this.options.morphDuration;
+    this._morphDelay = transition.delay ?? 0;
+    this._morphEase = ParticleRenderer.resolveEasing(transition.easing ?? this.options.easing);
+    this._setMorphStyle(transition);
+    this._morphFrom = fromIndex;
+    this._emit('morphstart', { from: fromIndex, to: targetIndex });
+    this._setCurrentFrame(targetIndex);
+  }
+  
+  // Transition style, path and stagger of the current particles' morph from
+  // a transition object, falling back to the options
+  _setMorphStyle(transition, orderStagger = true) {
+    const o = this.options;
+    this._morphStyle = transition.style ?? o.transitionStyle;
+    this._morphParams = {
+      distance: transition.distance ?? o.explodeDistance,
+      axis: transition.axis ?? o.swirlAxis,
+      turns: transition.turns ?? o.swirlTurns,
+      path: transition.path ?? o.morphPath,
+      bend: transition.bend ?? o.arcBend,
+      control: transition.control ?? o.arcControl,
+      spiralAxis: transition.spiralAxis ?? o.spiralAxis,
+      spiralTurns: transition.spiralTurns ?? o.spiralTurns,
+      noise: transition.noise ?? o.pathNoise,
+      stagger: transition.stagger ?? o.stagger
+    };
+    if (this._morphParams.stagger > 0 && orderStagger) {
+      // Origin in canvas pixels; defaults to the layout center
+      const origin = transition.staggerOrigin ?? o.staggerOrigin;
+      ParticleRenderer.assignStagger(this.particles, transition.staggerBy ?? o.staggerBy, {
+        x: origin?.x ?? this._layout.centerX,
+        y: origin?.y ?? this._layout.centerY,
+        z: origin?.z ?? 0
+      });
+    }
   }
 
   _setupHoverRotate() {
-    this.canvas.addEventListener('mousemove', (e) => {
+    if (this._hoverSetup) return;
+    this._hoverSetup = true;
+    this._updateTouchAction();
+    
+    // Mouse hovers; touch and pen tilt while in contact
+    this._listen(this.canvas, 'pointermove', (e) => {
       if (!this.options.hoverRotate) return;
       const rect = this.canvas.getBoundingClientRect();
       const cx = rect.width / 2;
       const cy = rect.height / 2;
-      const relX = (e.clientX - rect.left - cx) / cx;
-      const relY = (e.clientY - rect.top - cy) / cy;
+      const clamp = v => Math.max(-1, Math.min(1, v));
+      const relX = clamp((e.clientX - rect.left - cx) / cx);
+      const relY = clamp((e.clientY - rect.top - cy) / cy);
       const max = this.options.hoverMax * Math.PI / 180;
       this._staticRotX = -relY * max;
       this._staticRotY = relX * max;
     });
     
-    this.canvas.addEventListener('mouseleave', () => {
+    const reset = (e) => {
+      // A mouse leaving resets; touch resets when the finger lifts
+      if (e.type === 'pointerleave' && e.pointerType !== 'mouse') return;
       this._staticRotX = 0;
       this._staticRotY = 0;
+    };
+    this._listen(this.canvas, 'pointerleave', reset);
+    this._listen(this.canvas, 'pointerup', reset);
+    this._listen(this.canvas, 'pointercancel', reset);
+  }
+
+  // Pointer position for the force field, and clicks that launch shockwaves
+  _setupForceField() {
+    if (this._forceSetup) return;
+    this._forceSetup = true;
+    this._updateTouchAction();
+    
+    const position = (e) => {
+      const rect = this.canvas.getBoundingClientRect();
+      return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+    };
+    let down = null;
+    
+    this._listen(this.canvas, 'pointermove', (e) => {
+      this._forceField.pointer = this.options.pointerForce !== 'none' ? position(e) : null;
+    });
+    this._listen(this.canvas, 'pointerdown', (e) => {
+      down = position(e);
+      if (this.options.pointerForce !== 'none') this._forceField.pointer = down;
+    });
+    
+    const release = (e) => {
+      // A mouse keeps pushing until it leaves; touch stops when the finger lifts
+      if (e.type === 'pointerleave' && e.pointerType !== 'mouse') return;
+      if (e.type === 'pointerup' && e.pointerType === 'mouse') return;
+      this._forceField.pointer = null;
+    };
+    this._listen(this.canvas, 'pointerleave', release);
+    this._listen(this.canvas, 'pointerup', release);
+    this._listen(this.canvas, 'pointercancel', release);
+    
+    this._listen(this.canvas, 'click', (e) => {
+      if (!this.options.shockwave) return;
+      const at = position(e);
+      // Ignore the click that ends a drag
+      if (down && Math.hypot(at.x - down.x, at.y - down.y) > 10) return;
+      this._forceField.shockwave(at.x, at.y);
+      this._emit('shockwave', at);
+    });
+  }
+
+  // Only claim the touch gestures the enabled interactions need, so the
+  // page keeps scrolling: orbit and pointer forces need every gesture,
+  // hover tilt only horizontal ones. An explicit touchAction option wins.
+  _updateTouchAction() {
+    let action = '';
+    if (this.options.orbitControls || this.options.pointerForce !== 'none') action = 'none';
+    else if (this.options.hoverRotate) action = 'pan-y';
+    this.canvas.style.touchAction = this.options.touchAction ?? action;
+  }
+
+  // Convert the legacy per-frame morphSpeed (progress per 60Hz tick) to milliseconds
+  static _morphSpeedToDuration(morphSpeed) {
+    if (!(morphSpeed > 0)) return undefined;
+    return 1000 / (morphSpeed * 60);
+  }
+
+  _setupOrbitControls() {
+    if (this._orbitSetup) return;
+    this._orbitSetup = true;
+    this.canvas.style.cursor = 'grab';
+    this._updateTouchAction();
+    
+    // Active pointers by id; one pointer orbits, two pinch-zoom
+    const pointers = new Map();
+    let lastX = 0, lastY = 0, lastMove = 0;
+    let pinchDistance = 0;
+    
+    const distance = () => {
+      const [a, b] = [...pointers.values()];
+      return Math.hypot(a.x - b.x, a.y - b.y);
+    };
+    
+    this._listen(this.canvas, 'pointerdown', (e) => {
+      if (!this.options.orbitControls) return;
+      if (e.pointerType === 'mouse' && e.button !== 0) return;
+      e.preventDefault();
+      this.canvas.setPointerCapture(e.pointerId);
+      pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+      
+      this._dragging = true;
+      this._orbitVelYaw = 0;
+      this._orbitVelPitch = 0;
+      lastX = e.clientX;
+      lastY = e.clientY;
+      lastMove = performance.now();
+      if (pointers.size === 2) pinchDistance = distance();
+      this.canvas.style.cursor = 'grabbing';
+    });
+    
+    this._listen(this.canvas, 'pointermove', (e) => {
+      if (!this._dragging || !pointers.has(e.pointerId)) return;
+      const now = performance.now();
+      pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+      this._lastInteraction = now;
+      
+      if (pointers.size >= 2) {
+        // Pinch: zoom by the change in finger distance
+        const d = distance();
+        if (pinchDistance > 0) this._setZoom(this._zoom * d / pinchDistance);
+        pinchDistance = d;
+        return;
+      }
+      
+      const k = this.options.orbitSensitivity * Math.PI / 180;
+      const dYaw = (e.clientX - lastX) * k;
+      const dPitch = (e.clientY - lastY) * k;
+      this._orbitYaw += dYaw;
+      this._orbitPitch = this._clampPitch(this._orbitPitch + dPitch);
+      
+      // Smoothed drag velocity becomes momentum on release
+      const dt = Math.max(now - lastMove, 1);
+      this._orbitVelYaw = this._orbitVelYaw * 0.5 + (dYaw / dt) * 0.5;
+      this._orbitVelPitch = this._orbitVelPitch * 0.5 + (dPitch / dt) * 0.5;
+      lastX = e.clientX;
+      lastY = e.clientY;
+      lastMove = now;
     });
+    
+    const release = (e) => {
+      if (!pointers.delete(e.pointerId)) return;
+      const now = performance.now();
+      this._lastInteraction = now;
+      
+      if (pointers.size > 0) {
+        // Back to one finger after a pinch: continue orbiting from it without a jump
+        const [rest] = pointers.values();
+        lastX = rest.x;
+        lastY = rest.y;
+        lastMove = now;
+        this._orbitVelYaw = 0;
+        this._orbitVelPitch = 0;
+        return;
+      }
+      
+      this._dragging = false;
+      this.canvas.style.cursor = 'grab';
+      // Holding still before releasing (or a cancelled gesture) means no fling
+      if (now - lastMove > 80 || e.type === 'pointercancel') {
+        this._orbitVelYaw = 0;
+        this._orbitVelPitch = 0;
+      }
+    };
+    this._listen(this.canvas, 'pointerup', release);
+    this._listen(this.canvas, 'pointercancel', release);
+    
+    this._listen(this.canvas, 'wheel', (e) => {
+      if (!this.options.orbitControls) return;
+      e.preventDefault();
+      // Normalise line/page deltas to pixels
+      const delta = e.deltaY * (e.deltaMode === 1 ? 16 : e.deltaMode === 2 ? 100 : 1);
+      // Trackpad pinch arrives as ctrl+wheel with small deltas
+      const speed = this.options.zoomSpeed * (e.ctrlKey ? 5 : 1);
+      this._setZoom(this._zoom * Math.exp(-delta * speed));
+      this._lastInteraction = performance.now();
+    }, { passive: false });
+  }
+
+  _clampPitch(pitch) {
+    const limit = this.options.orbitPitchLimit;
+    if (limit == null) return pitch;
+    const max = limit * Math.PI / 180;
+    return Math.min(max, Math.max(-max, pitch));
+  }
+
+  _setZoom(zoom) {
+    this._zoom = Math.min(this.options.zoomMax, Math.max(this.options.zoomMin, zoom));
+  }
+
+  // Reset orbit rotation, momentum and zoom
+  resetView() {
+    this._orbitYaw = 0;
+    this._orbitPitch = 0;
+    this._orbitVelYaw = 0;
+    this._orbitVelPitch = 0;
+    this._zoom = 1;
+    this._lastInteraction = -Infinity;
+    return this;
   }
 
   _animate(time) {
-    if (!this.running) return;
+    this._rafId = null;
+    if (!this.running || this._suspended) return;
+    
+    // Elapsed time since last tick, clamped so a backgrounded tab doesn't jump
+    const workStart = performance.now();
+    const now = time ?? workStart;
+    const interval = now - this._lastTime;
+    const dt = Math.min(Math.max(interval, 0), 100);
+    this._lastTime = now;
+    
+    // Orbit momentum keeps spinning after release and decays
+    if (!this._dragging && (this._orbitVelYaw !== 0 || this._orbitVelPitch !== 0)) {
+      this._orbitYaw += this._orbitVelYaw * dt;
+      this._orbitPitch = this._clampPitch(this._orbitPitch + this._orbitVelPitch * dt);
+      const decay = Math.pow(this.options.orbitDamping, dt / (1000 / 60));
+      this._orbitVelYaw *= decay;
+      this._orbitVelPitch *= decay;
+      if (Math.abs(this._orbitVelYaw) < 1e-6) this._orbitVelYaw = 0;
+      if (Math.abs(this._orbitVelPitch) < 1e-6) this._orbitVelPitch = 0;
+      this._lastInteraction = now;
+    }
+    
+    // Auto-rotation pauses while the user orbits and resumes after idling
+    const orbitIdle = now - this._lastInteraction >= (this.options.orbitResumeDelay ?? Infinity);
+    if (!this.options.orbitControls || (!this._dragging && orbitIdle)) {
+      this.animTime += dt / 1000;
+    }
     
-    this.animTime++;
     const ctx = this.ctx;
-    const w = this.canvas.width;
-    const h = this.canvas.height;
-    const centerX = this.options.centerX ?? w / 2;
-    const centerY = this.options.centerY ?? h / 2;
+    const w = this.width;
+    const h = this.height;
+    const { centerX, centerY } = this._layout;
+    
+    // Clear or fade the last frame (drawing is in CSS pixels, scaled up to the backing store)
+    ctx.setTransform(this.pixelRatio, 0, 0, this.pixelRatio, 0, 0);
+    ParticleRenderer.paintBackground(ctx, w, h, this.options.backgroundColor, this.options.trail, dt);
     
-    // Clear
-    ctx.fillStyle = this.options.backgroundColor;
-    ctx.fillRect(0, 0, w, h);
+    // Advance the autoplay sequence once the current frame's hold has elapsed
+    if (this._playing && !this._morphing && !this._scrub) {
+      this._updateSequence(dt);
+    }
     
     // Update morph
     if (this._morphing) {
-      this._morphProgress += this.options.morphSpeed;
+      let finished = false;
+      let step = dt;
+      if (this._morphDelay > 0) {
+        const waited = Math.min(this._morphDelay, step);
+        this._morphDelay -= waited;
+        step -= waited;
+      }
+      this._morphProgress += this._morphDuration > 0 ? step / this._morphDuration : 1;
       if (this._morphProgress >= 1) {
         this._morphProgress = 1;
         this._morphing = false;
-        this.particles = this.particles.filter(p => !p.remove);
+        this.particles.compact(ParticleRenderer.PARTICLE_FLAGS.remove);
+        this._depthSorter.invalidate();
+        finished = true;
       }
       
-      const ease = t => t < 0.5 ? 4*t*t*t : 1 - Math.pow(-2*t + 2, 3) / 2;
-      const t = ease(this._morphProgress);
+      const t = this._morphEase(this._morphProgress);
+      this._applyMorph(t);
       
-      for (const p of this.particles) {
-        p.baseX = p.morphStartX + (p.morphTargetX - p.morphStartX) * t;
-        p.baseY = p.morphStartY + (p.morphTargetY - p.morphStartY) * t;
-        p.baseZ = p.morphStartZ + (p.morphTargetZ - p.morphStartZ) * t;
-        p.r = Math.round(p.morphStartR + (p.morphTargetR - p.morphStartR) * t);
-        p.g = Math.round(p.morphStartG + (p.morphTargetG - p.morphStartG) * t);
-        p.b = Math.round(p.morphStartB + (p.morphTargetB - p.morphStartB) * t);
+      this._emit('morphprogress', {
+        from: this._morphFrom, to: this.currentFrame,
+        progress: this._morphProgress, eased: t
+      });
+      if (finished) {
+        this._emit('morphend', { from: this._morphFrom, to: this.currentFrame, interrupted: false });
+        const queued = this._queue.shift();
+        // A morphend listener may already have started another morph
+        if (queued && !this._morphing) {
+          this._morphTo(queued.index, queued.transition);
+        }
       }
     }
     
@@ -301,7 +1348,9 @@ class ParticleRenderer {
       angleY = this._staticRotY;
       angleZ = this._staticRotZ;
     } else if (this.options.autoRotate) {
-      const t = this.animTime * this.options.rotateSpeed * 0.01;
+      // Each unit of rotateX/Y/Z turns rotationRate degrees per second
+      const rate = this.options.rotationRate ?? this.options.rotateSpeed * ParticleRenderer.ROTATION_RATE;
+      const t = this.animTime * rate;
       angleX = this.options.rotateX * Math.PI / 180 * t;
       angleY = this.options.rotateY * Math.PI / 180 * t;
       angleZ = this.options.rotateZ * Math.PI / 180 * t;
@@ -311,90 +1360,307 @@ class ParticleRenderer {
       angleZ = this.options.rotateZ * Math.PI / 180;
     }
     
+    // One matrix for the model rotation followed by the orbit camera (yaw,
+    // then pitch, in view space)
+    const zoom = this._zoom;
+    const m = ParticleRenderer.rotationMatrix(this._rotation, angleX, angleY, angleZ, this._orbitYaw, this._orbitPitch);
+    const m0 = m[0] * zoom, m1 = m[1] * zoom, m2 = m[2] * zoom;
+    const m3 = m[3] * zoom, m4 = m[4] * zoom, m5 = m[5] * zoom;
+    const m6 = m[6] * zoom, m7 = m[7] * zoom, m8 = m[8] * zoom;
+    
+    // Gather intro the first time there is something to show
+    if (!this._introPlayed && this.particles.length > 0) {
+      this._introPlayed = true;
+      if (ParticleRenderer.isGather(this.options.intro)) {
+        this._startGather(-1, this.options.introDuration);
+      }
+    }
+    const gather = this._gather;
+    if (gather) this._updateGather(dt);
+    const gathered = gather ? ParticleRenderer.easings.easeInOutCubic(gather.amount) : 0;
+    
+    // Push particles around the pointer and spring them back home
+    const P = this.particles;
+    this._forceField.step(P, dt, {
+      mode: this.options.pointerForce,
+      radius: this.options.forceRadius,
+      strength: this.options.forceStrength,
+      stiffness: this.options.forceStiffness,
+      damping: this.options.forceDamping,
+      shockwaveStrength: this.options.shockwaveStrength,
+      shockwaveRadius: this.options.shockwaveRadius
+    });
+    
     // Transform particles
-    for (const p of this.particles) {
-      let x = p.baseX - centerX;
-      let y = p.baseY - centerY;
-      let z = p.baseZ;
+    const n = P.length;
+    const { x: px, y: py, z: pz, baseX, baseY, baseZ, forceX, forceY, forceZ, gatherX, gatherY } = P;
+    for (let i = 0; i < n; i++) {
+      const x = baseX[i] - centerX;
+      const y = baseY[i] - centerY;
+      const z = baseZ[i];
+      px[i] = m0 * x + m1 * y + m2 * z + centerX + forceX[i];
+      py[i] = m3 * x + m4 * y + m5 * z + centerY + forceY[i];
+      pz[i] = m6 * x + m7 * y + m8 * z + forceZ[i];
       
-      // Rotate X
-      if (angleX !== 0) {
-        const y1 = y * Math.cos(angleX) - z * Math.sin(angleX);
-        const z1 = y * Math.sin(angleX) + z * Math.cos(angleX);
-        y = y1; z = z1;
-      }
-      // Rotate Y
-      if (angleY !== 0) {
-        const x1 = x * Math.cos(angleY) + z * Math.sin(angleY);
-        const z1 = -x * Math.sin(angleY) + z * Math.cos(angleY);
-        x = x1; z = z1;
-      }
-      // Rotate Z
-      if (angleZ !== 0) {
-        const x1 = x * Math.cos(angleZ) - y * Math.sin(angleZ);
-        const y1 = x * Math.sin(angleZ) + y * Math.cos(angleZ);
-        x = x1; y = y1;
+      // Intro/outro: pulled towards a point outside the canvas edge
+      if (gathered > 0) {
+        if (Number.isNaN(gatherX[i])) this._pickGatherPoint(i);
+        px[i] += (gatherX[i] - px[i]) * gathered;
+        py[i] += (gatherY[i] - py[i]) * gathered;
+        pz[i] -= pz[i] * gathered;
       }
-      
-      p.x = x + centerX;
-      p.y = y + centerY;
-      p.z = z;
     }
     
-    // Sort by depth
-    this.particles.sort((a, b) => a.z - b.z);
+    // Adaptive quality may thin out particles and turn effects off
+    const quality = this._qualitySettings();
+    const depthFog = this.options.depthFog && quality.effects;
+    const share = quality.particles;
+    
+    // Order by depth (the drawing order, not the particles)
+    this._depthSorter.sort(P, {
+      strategy: this.options.depthSort,
+      depthFog,
+      rotation: m,
+      angle: this.options.depthSortAngle,
+      moving: this._morphing || gather !== null
+    });
+    const order = P.order;
     
     // Calculate max Z for fog
     let maxZ = 1;
-    for (const p of this.particles) {
-      const az = Math.abs(p.z);
+    for (let i = 0; i < n; i++) {
+      const az = Math.abs(pz[i]);
       if (az > maxZ) maxZ = az;
     }
     
-    // Draw particles
-    for (const p of this.particles) {
-      let opacity = 1;
-      if (this.options.depthFog && maxZ > 0) {
-        const nz = (p.z + maxZ) / (2 * maxZ);
-        opacity = Math.max(0.1, 0.2 + nz * nz * 0.8);
+    // Draw particles, one by one or through a batch or pixel drawer (see DRAW_MODES)
+    const baseSize = this.options.particleSize * zoom;
+    const drawMode = ParticleRenderer.chooseDrawMode(this.options.drawMode, {
+      shape: this.options.shape, count: Math.round(n * share), radius: baseSize, pixelRatio: this.pixelRatio
+    });
+    let drawer = null;
+    if (drawMode === 'batch') {
+      drawer = this._batchDrawer || (this._batchDrawer = ParticleRenderer.createBatchDrawer());
+    } else if (drawMode === 'pixels') {
+      drawer = this._pixelDrawer || (this._pixelDrawer = ParticleRenderer.createPixelDrawer());
+    }
+    const drawShape = drawer ? drawer.draw : this._shapeDrawer();
+    const glow = quality.effects ? this.options.glow : 0;
+    if (glow > 0 && !this._drawGlow) this._drawGlow = ParticleRenderer.createGlowDrawer();
+    const drawGlow = glow > 0 ? this._drawGlow : null;
+    const glowStrength = this.options.glowStrength;
+    const { r, g, b, size, alpha, screenX, screenY } = P;
+    ctx.globalCompositeOperation = ParticleRenderer.compositeOperation(this.options.blendMode);
+    if (drawMode === 'pixels') drawer.begin(ctx, this.pixelRatio);
+    for (let k = 0; k < n; k++) {
+      const i = order[k];
+      if (share < 1 && ParticleRenderer.subsampleRank(i) >= share) continue;
+      let opacity = alpha[i];
+      const radius = baseSize * size[i];
+      if (opacity <= 0 || radius <= 0) continue;
+      if (depthFog && maxZ > 0) {
+        const nz = (pz[i] + maxZ) / (2 * maxZ);
+        opacity *= Math.max(0.1, 0.2 + nz * nz * 0.8);
       }
       
       // Apply perspective projection if enabled
-      let drawX = p.x;
-      let drawY = p.y;
+      let drawX = px[i];
+      let drawY = py[i];
       if (this.options.perspective && maxZ > 0) {
         const focalLength = this.options.focalLength;
-        const distance = focalLength - p.z;
+        const distance = Math.max(1, focalLength - pz[i]);
         const perspectiveScale = focalLength / distance;
-        const dx = p.x - centerX;
-        const dy = p.y - centerY;
-        drawX = centerX + dx * perspectiveScale;
-        drawY = centerY + dy * perspectiveScale;
+        drawX = centerX + (px[i] - centerX) * perspectiveScale;
+        drawY = centerY + (py[i] - centerY) * perspectiveScale;
       }
       
-      ctx.fillStyle = `rgba(${p.r},${p.g},${p.b},${opacity})`;
-      ctx.beginPath();
-      ctx.arc(drawX, drawY, p.size, 0, Math.PI * 2);
-      ctx.fill();
+      if (drawGlow) {
+        drawGlow(ctx, drawX, drawY, radius * glow, r[i], g[i], b[i], opacity * glowStrength);
+      }
+      drawShape(ctx, drawX, drawY, radius, r[i], g[i], b[i], opacity);
+      screenX[i] = drawX;
+      screenY[i] = drawY;
     }
+    // Batched and pixel particles land on top of every glow
+    if (drawMode === 'batch') drawer.flush(ctx, this.options.shape);
+    if (drawMode === 'pixels') drawer.end(ctx);
+    ctx.globalCompositeOperation = 'source-over';
     
-    requestAnimationFrame(this._boundAnimate);
+    if (this.options.adaptiveQuality) {
+      this._updateQuality(interval, performance.now() - workStart);
+    }
+    
+    // An outro may have stopped the loop during this frame (and a 'stop'
+    // listener restarted it)
+    if (this.running && this._rafId === null) {
+      this._rafId = requestAnimationFrame(this._boundAnimate);
+    }
+  }
+  
+  // Settings of the current quality level (full quality unless adaptiveQuality)
+  _qualitySettings() {
+    return this.options.adaptiveQuality ? this._quality.settings : ParticleRenderer.QUALITY_LEVELS[0];
+  }
+  
+  // Feed one frame's timing to the quality controller and apply a new level
+  _updateQuality(interval, work) {
+    const previous = this._quality.level;
+    const pixelRatio = this._quality.settings.pixelRatio;
+    this._quality.targetFps = this.options.targetFps;
+    if (!this._quality.update(interval, work)) return;
+    if (this._quality.settings.pixelRatio !== pixelRatio) this.resize();
+    this._emit('qualitychange', { ...this.getQuality(), previous });
+  }
+  
+  // Current quality: { level, particles, effects, pixelRatio } (see
+  // QUALITY_LEVELS); level 0 is full quality
+  getQuality() {
+    const level = this.options.adaptiveQuality ? this._quality.level : 0;
+    return { level, ...ParticleRenderer.QUALITY_LEVELS[level] };
   }
   
-  // Resize handler - call when canvas size changes
+  // Re-measure the canvas and resize its backing store. Called automatically
+  // with autoResize; otherwise call it after changing canvas.width/height.
+  // Particles and any running morph keep going, moved to the new layout.
   resize() {
-    if (this.frames.length > 0) {
-      this._loadFrame(this.currentFrame);
+    const canvas = this.canvas;
+    if (this.options.autoResize && (canvas.clientWidth === 0 || canvas.clientHeight === 0)) {
+      // Detached or hidden (display: none): keep the attribute size until
+      // the ResizeObserver reports a real box, rather than collapsing to 0x0
+      this.width = canvas.width;
+      this.height = canvas.height;
+      this.pixelRatio = 1;
+      this._updateLayout();
+      return this;
+    }
+    
+    const measured = this._measured === true;
+    this._measured = true;
+    
+    if (this.options.autoResize) {
+      // A canvas without a CSS size takes its layout size from the backing
+      // store; pin it first so scaling the store doesn't make it grow
+      if (!measured && !canvas.style.width && !canvas.style.height &&
+          canvas.clientWidth === canvas.width && canvas.clientHeight === canvas.height) {
+        canvas.style.width = canvas.width + 'px';
+        canvas.style.height = canvas.height + 'px';
+      }
+      const dpr = Math.min(window.devicePixelRatio || 1, this.options.maxPixelRatio ?? Infinity) *
+        this._qualitySettings().pixelRatio;
+      this.width = canvas.clientWidth;
+      this.height = canvas.clientHeight;
+      this.pixelRatio = dpr;
+      const backingWidth = Math.round(this.width * dpr);
+      const backingHeight = Math.round(this.height * dpr);
+      // Assigning the size clears the canvas, so only do it on a change
+      if (canvas.width !== backingWidth) canvas.width = backingWidth;
+      if (canvas.height !== backingHeight) canvas.height = backingHeight;
+    } else {
+      this.width = this.canvas.width;
+      this.height = this.canvas.height;
+      this.pixelRatio = 1;
     }
+    
+    this._updateLayout();
     return this;
   }
   
+  // Follow the canvas' layout size and the display's pixel ratio
+  _observeSize() {
+    if (!this._resizeObserver && typeof ResizeObserver !== 'undefined') {
+      this._resizeObserver = new ResizeObserver(() => this.resize());
+      this._resizeObserver.observe(this.canvas);
+    }
+    this._watchPixelRatio();
+  }
+  
+  _unobserveSize() {
+    if (this._resizeObserver) {
+      this._resizeObserver.disconnect();
+      this._resizeObserver = null;
+    }
+    if (this._dprQuery) {
+      this._dprQuery.mql.removeEventListener('change', this._dprQuery.listener);
+      this._dprQuery = null;
+    }
+  }
+  
+  // Moving the window to another screen changes devicePixelRatio without
+  // resizing anything; a resolution media query tells us when it happens
+  _watchPixelRatio() {
+    if (this._dprQuery || typeof window.matchMedia !== 'function') return;
+    const mql = window.matchMedia(`(resolution: ${window.devicePixelRatio || 1}dppx)`);
+    const listener = () => {
+      mql.removeEventListener('change', listener);
+      this._dprQuery = null;
+      this.resize();
+      this._watchPixelRatio();
+    };
+    mql.addEventListener('change', listener);
+    this._dprQuery = { mql, listener };
+  }
+  
   // Update options at runtime
   setOptions(newOptions) {
     Object.assign(this.options, newOptions);
+    if ('intro' in newOptions || 'outro' in newOptions) this._checkGatherOptions();
+    for (const key of Object.keys(newOptions)) this._explicitOptions.add(key);
+    if ('morphSpeed' in newOptions) this._explicitOptions.add('morphDuration');
+    if ('morphSpeed' in newOptions) {
+      if (!('morphDuration' in newOptions)) {
+        this.options.morphDuration = ParticleRenderer._morphSpeedToDuration(newOptions.morphSpeed) ?? this.options.morphDuration;
+      }
+      delete this.options.morphSpeed;
+    }
     if ('hoverRotate' in newOptions && newOptions.hoverRotate) {
       this._setupHoverRotate();
     }
+    if ('orbitControls' in newOptions) {
+      if (newOptions.orbitControls) {
+        this._setupOrbitControls();
+        this.canvas.style.cursor = 'grab';
+      } else if (this._orbitSetup) {
+        this._dragging = false;
+        this.canvas.style.cursor = '';
+      }
+    }
+    if (('pointerForce' in newOptions && newOptions.pointerForce !== 'none') || newOptions.shockwave) {
+      this._setupForceField();
+    }
+    if ('pointerForce' in newOptions && newOptions.pointerForce === 'none') {
+      this._forceField.pointer = null;
+    }
+    if (['orbitControls', 'hoverRotate', 'pointerForce', 'touchAction'].some(k => k in newOptions)) {
+      this._updateTouchAction();
+    }
+    if ('zoomMin' in newOptions || 'zoomMax' in newOptions) {
+      this._setZoom(this._zoom);
+    }
+    if ('autoResize' in newOptions) {
+      if (newOptions.autoResize) this._observeSize();
+      else this._unobserveSize();
+    }
+    if ('adaptiveQuality' in newOptions) {
+      // Back to full quality; a level change is reported like any other
+      const previous = this._quality.level;
+      if (this._quality.reset()) {
+        this._emit('qualitychange', { ...this.getQuality(), previous });
+      }
+    }
+    if (['autoResize', 'maxPixelRatio', 'adaptiveQuality'].some(k => k in newOptions)) {
+      this.resize();
+    }
+    if ('useFileSettings' in newOptions && newOptions.useFileSettings) {
+      this._applyFileSettings();
+    }
+    if (['scale', 'fit', 'fitPadding', 'centerX', 'centerY', 'useFileSettings'].some(k => k in newOptions)) {
+      this._updateLayout();
+    }
+    if ('pauseWhenHidden' in newOptions) {
+      if (newOptions.pauseWhenHidden) this._observeVisibility();
+      else this._unobserveVisibility();
+      this._updateVisibility();
+    }
     return this;
   }
 
@@ -412,8 +1678,2164 @@ class ParticleRenderer {
   get isMorphing() {
     return this._morphing;
   }
+
+  // Current orbit view: yaw/pitch in degrees and zoom factor
+  get view() {
+    return {
+      yaw: this._orbitYaw * 180 / Math.PI,
+      pitch: this._orbitPitch * 180 / Math.PI,
+      zoom: this._zoom
+    };
+  }
+
+  // Check if a morph is being scrubbed with setProgress()
+  get isScrubbing() {
+    return this._scrub !== null;
+  }
+
+  // Check if the autoplay sequence is playing
+  get isPlaying() {
+    return this._playing;
+  }
+
+  // Check if frames are being drawn (running and not paused while hidden)
+  get isRendering() {
+    return this.running && !this._suspended;
+  }
 }
 
+// ============================================================================
+// Particle buffer (shared with the editor)
+// ============================================================================
+// Particles are stored as a struct of arrays: one Float32Array per field,
+// indexed by particle, so 20k particles are a few dozen typed arrays rather
+// than 20k objects, and per-frame loops over them allocate nothing.
+// buffer.flags holds PARTICLE_FLAGS bits per particle and buffer.order the
+// particle indices in drawing order (back to front once sorted). Typed
+// arrays are replaced when the buffer grows, so read them from the buffer
+// rather than keeping them across a resize. buffer.version counts resizes,
+// so a change of particles can be noticed even when the count comes out the same.
+
+(() => {
+  ParticleRenderer.PARTICLE_FIELDS = [
+    'x', 'y', 'z',                                     // Transformed (view space) position
+    'baseX', 'baseY', 'baseZ',                         // Position in the frame
+    'r', 'g', 'b', 'size', 'alpha',                    // size: multiplier of the particle size
+    'morphStartX', 'morphStartY', 'morphStartZ',
+    'morphStartR', 'morphStartG', 'morphStartB', 'morphStartSize', 'morphStartAlpha',
+    'morphTargetX', 'morphTargetY', 'morphTargetZ',
+    'morphTargetR', 'morphTargetG', 'morphTargetB', 'morphTargetSize', 'morphTargetAlpha',
+    'morphSeed', 'morphStagger',                       // See transitionStep
+    'forceX', 'forceY', 'forceZ',                      // See createForceField
+    'forceVX', 'forceVY', 'forceVZ',
+    'screenX', 'screenY',                              // Where it was last drawn
+    'gatherX', 'gatherY'                               // Intro/outro point off the canvas (NaN until picked)
+  ];
+  
+  ParticleRenderer.PARTICLE_FLAGS = {
+    remove: 1,                     // Merges into its target; removed when the morph ends
+    spawned: 2                     // Cloned for a morph to a frame with more points
+  };
+  
+  // Create an empty particle buffer with PARTICLE_FIELDS plus extraFields
+  ParticleRenderer.createParticleBuffer = function(extraFields = []) {
+    const fields = [...ParticleRenderer.PARTICLE_FIELDS, ...extraFields];
+    const buffer = {
+      fields,
+      length: 0,
+      capacity: 0,
+      version: 0,
+      flags: new Uint8Array(0),
+      order: new Uint32Array(0),
+      
+      // Set the particle count, keeping existing particles. Added particles
+      // are zeroed (gather points unpicked) and drawn last until sorted.
+      resize(length) {
+        if (length > this.capacity) {
+          const capacity = Math.max(length, this.capacity * 2, 64);
+          for (const field of fields) {
+            const array = new Float32Array(capacity);
+            array.set(this[field].subarray(0, this.length));
+            this[field] = array;
+          }
+          const flags = new Uint8Array(capacity);
+          flags.set(this.flags.subarray(0, this.length));
+          this.flags = flags;
+          const order = new Uint32Array(capacity);
+          order.set(this.order.subarray(0, this.length));
+          this.order = order;
+          this.capacity = capacity;
+        }
+        
+        if (length < this.length) {
+          // Dropped indices may be anywhere in the drawing order
+          this.resetOrder(length);
+        } else {
+          for (const field of fields) this[field].fill(0, this.length, length);
+          this.gatherX.fill(NaN, this.length, length);
+          this.gatherY.fill(NaN, this.length, length);
+          this.flags.fill(0, this.length, length);
+          for (let i = this.length; i < length; i++) this.order[i] = i;
+        }
+        if (length !== this.length) this.version++;
+        this.length = length;
+        return this;
+      },
+      
+      // Append one zeroed particle. Returns: its index
+      add() {
+        this.resize(this.length + 1);
+        return this.length - 1;
+      },
+      
+      // Copy every field of particle `from` in source (this buffer by
+      // default, which must have the same fields) to particle `to`
+      copy(from, to, source = this) {
+        for (const field of fields) this[field][to] = source[field][from];
+        this.flags[to] = source.flags[from];
+      },
+      
+      // Remove the particles with any of the given flag bits set, keeping
+      // the others in order. Returns: how many were removed
+      compact(flag) {
+        let kept = 0;
+        for (let i = 0; i < this.length; i++) {
+          if (this.flags[i] & flag) continue;
+          if (kept !== i) this.copy(i, kept);
+          kept++;
+        }
+        const removed = this.length - kept;
+        if (removed > 0) this.resize(kept);
+        return removed;
+      },
+      
+      // Drawing order back to index order (for the first `length` particles)
+      resetOrder(length = this.length) {
+        for (let i = 0; i < length; i++) this.order[i] = i;
+      }
+    };
+    for (const field of fields) buffer[field] = new Float32Array(0);
+    return buffer;
+  };
+  
+  // Rotate rows i and j of a row-major 3x3 matrix by angle (left-multiply)
+  const rotateRows = (m, i, j, angle) => {
+    if (angle === 0) return;
+    const cos = Math.cos(angle), sin = Math.sin(angle);
+    for (let k = 0; k < 3; k++) {
+      const a = m[i * 3 + k], b = m[j * 3 + k];
+      m[i * 3 + k] = cos * a - sin * b;
+      m[j * 3 + k] = sin * a + cos * b;
+    }
+  };
+  
+  // Without a rotationRate option, auto-rotation turns rotateX/Y/Z *
+  // rotateSpeed * ROTATION_RATE degrees per second: the original 0.01 per
+  // animation frame, at 60 frames a second
+  ParticleRenderer.ROTATION_RATE = 0.6;
+  
+  // Row-major 3x3 matrix rotating about X, then Y, then Z, then by the orbit
+  // yaw (about Y) and pitch (about X), written to out (e.g. a Float64Array(9)).
+  // Built once per frame so particles cost 9 multiply-adds, not 6 sin/cos.
+  ParticleRenderer.rotationMatrix = function(out, angleX, angleY, angleZ, yaw = 0, pitch = 0) {
+    out[0] = 1; out[1] = 0; out[2] = 0;
+    out[3] = 0; out[4] = 1; out[5] = 0;
+    out[6] = 0; out[7] = 0; out[8] = 1;
+    rotateRows(out, 1, 2, angleX);
+    rotateRows(out, 2, 0, angleY);
+    rotateRows(out, 0, 1, angleZ);
+    rotateRows(out, 2, 0, yaw);
+    rotateRows(out, 1, 2, pitch);
+    return out;
+  };
+})();
+
+// ============================================================================
+// Depth ordering (shared with the editor)
+// ============================================================================
+// Particles are painted back to front through buffer.order. Strategies:
+//   'sort'   - comparison sort of every particle, every frame
+//   'bucket' - radix sort over depth quantised to 65536 steps: two linear
+//              passes instead of n log n comparisons
+//   'lazy'   - bucket sort, but only when the rotation has turned more than
+//              `angle` degrees since the last sort or particles have moved
+//              some other way (morphs, gathers, a new frame)
+//   'none'   - no sorting; particles are drawn in buffer order
+//   'auto'   - 'bucket' with depth fog, otherwise 'none' (without fog, near
+//              and far particles look the same)
+
+ParticleRenderer.DEPTH_SORTS = ['auto', 'sort', 'bucket', 'lazy', 'none'];
+
+(() => {
+  const RADIX = 256;
+  
+  // Create a depth sorter; it keeps the scratch arrays between frames and
+  // the rotation the lazy strategy last sorted at
+  ParticleRenderer.createDepthSorter = function() {
+    let keys = new Uint16Array(0);
+    let scratch = new Uint32Array(0);
+    const counts = new Uint32Array(RADIX);
+    const sortedRotation = new Float64Array(9);
+    let sortedParticles = null;
+    let sortedVersion = -1;
+    
+    // Stable counting sort of `from` into `to` on one byte of the keys
+    const radixPass = (from, to, n, shift) => {
+      counts.fill(0);
+      for (let k = 0; k < n; k++) counts[(keys[from[k]] >> shift) & 0xff]++;
+      let total = 0;
+      for (let d = 0; d < RADIX; d++) {
+        const count = counts[d];
+        counts[d] = total;
+        total += count;
+      }
+      for (let k = 0; k < n; k++) {
+        const i = from[k];
+        to[counts[(keys[i] >> shift) & 0xff]++] = i;
+      }
+    };
+    
+    const bucketSort = (particles) => {
+      const n = particles.length;
+      const z = particles.z;
+      if (keys.length < particles.capacity) {
+        keys = new Uint16Array(particles.capacity);
+        scratch = new Uint32Array(particles.capacity);
+      }
+      let min = Infinity, max = -Infinity;
+      for (let i = 0; i < n; i++) {
+        if (z[i] < min) min = z[i];
+        if (z[i] > max) max = z[i];
+      }
+      const scale = max > min ? 65535 / (max - min) : 0;
+      for (let i = 0; i < n; i++) keys[i] = (z[i] - min) * scale;
+      radixPass(particles.order, scratch, n, 0);
+      radixPass(scratch, particles.order, n, 8);
+    };
+    
+    // Cosine of the angle between two rotation matrices (trace of a^T b)
+    const rotationCos = (a, b) => {
+      let trace = 0;
+      for (let k = 0; k < 9; k++) trace += a[k] * b[k];
+      return (trace - 1) / 2;
+    };
+    
+    return {
+      // Make the next lazy sort happen regardless of rotation
+      invalidate() {
+        sortedParticles = null;
+      },
+      
+      // Order particles back to front. options: strategy (DEPTH_SORTS),
+      // depthFog (for 'auto'), and for 'lazy' rotation (the frame's 3x3
+      // matrix), angle (degrees) and moving (particles moved this frame
+      // other than by the rotation). Returns: true if the order was updated
+      sort(particles, { strategy = 'auto', depthFog = true, rotation = null, angle = 2, moving = false } = {}) {
+        if (strategy === 'auto') strategy = depthFog ? 'bucket' : 'none';
+        const n = particles.length;
+        if (strategy === 'none' || n < 2) return false;
+        
+        if (strategy === 'sort') {
+          const z = particles.z;
+          particles.order.subarray(0, n).sort((a, b) => z[a] - z[b]);
+          return true;
+        }
+        
+        if (strategy === 'lazy') {
+          const stale = moving || !rotation || particles !== sortedParticles || particles.version !== sortedVersion ||
+            rotationCos(sortedRotation, rotation) < Math.cos(angle * Math.PI / 180);
+          if (!stale) return false;
+          if (rotation) sortedRotation.set(rotation);
+          sortedParticles = particles;
+          sortedVersion = particles.version;
+        }
+        bucketSort(particles);
+        return true;
+      }
+    };
+  };
+})();
+
+// ============================================================================
+// Easing functions (shared with the editor)
+// ============================================================================
+// Each maps linear progress t in [0,1] to eased progress. Back and elastic
+// overshoot outside [0,1] on purpose.
+
+(() => {
+  const c1 = 1.70158;
+  const c2 = c1 * 1.525;
+  const c3 = c1 + 1;
+  const c4 = (2 * Math.PI) / 3;
+  const c5 = (2 * Math.PI) / 4.5;
+  
+  const bounceOut = t => {
+    const n1 = 7.5625;
+    const d1 = 2.75;
+    if (t < 1 / d1) return n1 * t * t;
+    if (t < 2 / d1) return n1 * (t -= 1.5 / d1) * t + 0.75;
+    if (t < 2.5 / d1) return n1 * (t -= 2.25 / d1) * t + 0.9375;
+    return n1 * (t -= 2.625 / d1) * t + 0.984375;
+  };
+  
+  ParticleRenderer.easings = {
+    linear: t => t,
+    easeInQuad: t => t * t,
+    easeOutQuad: t => 1 - (1 - t) * (1 - t),
+    easeInOutQuad: t => t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2,
+    easeInCubic: t => t * t * t,
+    easeOutCubic: t => 1 - Math.pow(1 - t, 3),
+    easeInOutCubic: t => t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2,
+    easeInExpo: t => t === 0 ? 0 : Math.pow(2, 10 * t - 10),
+    easeOutExpo: t => t === 1 ? 1 : 1 - Math.pow(2, -10 * t),
+    easeInOutExpo: t => t === 0 ? 0 : t === 1 ? 1 : t < 0.5
+      ? Math.pow(2, 20 * t - 10) / 2
+      : (2 - Math.pow(2, -20 * t + 10)) / 2,
+    easeInBack: t => c3 * t * t * t - c1 * t * t,
+    easeOutBack: t => 1 + c3 * Math.pow(t - 1, 3) + c1 * Math.pow(t - 1, 2),
+    easeInOutBack: t => t < 0.5
+      ? (Math.pow(2 * t, 2) * ((c2 + 1) * 2 * t - c2)) / 2
+      : (Math.pow(2 * t - 2, 2) * ((c2 + 1) * (t * 2 - 2) + c2) + 2) / 2,
+    easeInElastic: t => t === 0 ? 0 : t === 1 ? 1
+      : -Math.pow(2, 10 * t - 10) * Math.sin((t * 10 - 10.75) * c4),
+    easeOutElastic: t => t === 0 ? 0 : t === 1 ? 1
+      : Math.pow(2, -10 * t) * Math.sin((t * 10 - 0.75) * c4) + 1,
+    easeInOutElastic: t => t === 0 ? 0 : t === 1 ? 1 : t < 0.5
+      ? -(Math.pow(2, 20 * t - 10) * Math.sin((20 * t - 11.125) * c5)) / 2
+      : (Math.pow(2, -20 * t + 10) * Math.sin((20 * t - 11.125) * c5)) / 2 + 1,
+    easeInBounce: t => 1 - bounceOut(1 - t),
+    easeOutBounce: bounceOut,
+    easeInOutBounce: t => t < 0.5
+      ? (1 - bounceOut(1 - 2 * t)) / 2
+      : (1 + bounceOut(2 * t - 1)) / 2
+  };
+})();
+
+// Build an easing from CSS-style cubic-bezier control points
+ParticleRenderer.cubicBezier = function(x1, y1, x2, y2) {
+  const ax = 3 * x1 - 3 * x2 + 1, bx = 3 * x2 - 6 * x1, cx = 3 * x1;
+  const ay = 3 * y1 - 3 * y2 + 1, by = 3 * y2 - 6 * y1, cy = 3 * y1;
+  const sampleX = s => ((ax * s + bx) * s + cx) * s;
+  const sampleY = s => ((ay * s + by) * s + cy) * s;
+  const slopeX = s => (3 * ax * s + 2 * bx) * s + cx;
+  
+  // Solve x(s) = t for the curve parameter s
+  const solve = (t) => {
+    let s = t;
+    for (let i = 0; i < 8; i++) {
+      const err = sampleX(s) - t;
+      if (Math.abs(err) < 1e-6) return s;
+      const d = slopeX(s);
+      if (Math.abs(d) < 1e-6) break;
+      s -= err / d;
+    }
+    // Newton failed to converge: fall back to bisection
+    let lo = 0, hi = 1;
+    s = t;
+    while (lo < hi) {
+      const x = sampleX(s);
+      if (Math.abs(x - t) < 1e-6) return s;
+      if (t > x) lo = s; else hi = s;
+      s = (lo + hi) / 2;
+      if (hi - lo < 1e-7) break;
+    }
+    return s;
+  };
+  
+  return t => (t <= 0 ? 0 : t >= 1 ? 1 : sampleY(solve(t)));
+};
+
+// Resolve an easing given as a name, function, [x1, y1, x2, y2] array
+// or 'cubic-bezier(x1, y1, x2, y2)' string. Unknown names fall back to linear.
+ParticleRenderer.resolveEasing = function(easing) {
+  if (typeof easing === 'function') return easing;
+  if (Array.isArray(easing) && easing.length === 4) {
+    return ParticleRenderer.cubicBezier(...easing);
+  }
+  if (typeof easing === 'string') {
+    const named = ParticleRenderer.easings[easing];
+    if (named) return named;
+    const match = easing.match(/^cubic-bezier\(([^)]*)\)$/);
+    if (match) {
+      const args = match[1].split(',').map(parseFloat);
+      if (args.length === 4 && args.every(Number.isFinite)) {
+        return ParticleRenderer.cubicBezier(...args);
+      }
+    }
+  }
+  console.warn('ParticleRenderer: unknown easing', easing);
+  return ParticleRenderer.easings.linear;
+};
+
+// ============================================================================
+// Transition styles (shared with the editor)
+// ============================================================================
+// How particles travel during a morph. Every style is a function of the
+// eased progress t alone, so scrubbing with setProgress works for all:
+//   morph    - along the path from start to target (default)
+//   explode  - burst outwards from the center, slowed by drag, then
+//              reassemble into the target
+//   dissolve - fade out in place and fade in at the target, each particle
+//              switching at its own random moment
+//   swirl    - spin around an axis through the center while travelling,
+//              inner particles faster
+// The path a particle follows (for every style but dissolve) is one of:
+//   straight - a straight line (default)
+//   arc      - a curve bulging to one side, or through a shared control point
+//   spiral   - around an axis through the center, radius and height
+//              interpolated on the way
+//   noise    - a straight line wobbling smoothly around it
+// With stagger, particles start one after another instead of together,
+// in order of morphStagger (see assignStagger).
+// Particles (see createParticleBuffer) provide morphStart/TargetX/Y/Z and a
+// morphSeed in 0-1 that stays the same for the whole morph.
+
+(() => {
+  const TAU = Math.PI * 2;
+  const DRAG = 6;                  // Explode: higher stops the burst sooner
+  const DISSOLVE_FADE = 0.3;       // Share of the morph spent fading out (and in)
+  
+  // Explode offset over the morph: a drag-slowed flight out, home by t = 1
+  const burst = t => (1 - Math.exp(-DRAG * t)) * (1 - t) * (1 - t);
+  let burstPeak = 0;
+  for (let i = 1; i < 100; i++) burstPeak = Math.max(burstPeak, burst(i / 100));
+  
+  const clamp01 = v => Math.min(1, Math.max(0, v));
+  
+  // Split a point into coordinates across an axis through c (u, v) and along it (w)
+  const toAxis = (axis, x, y, z, c) => {
+    if (axis === 'x') return [y - c.y, z - c.z, x];
+    if (axis === 'z') return [x - c.x, y - c.y, z];
+    return [x - c.x, z - c.z, y];
+  };
+  const fromAxis = (axis, u, v, w, c, out) => {
+    if (axis === 'x') { out.x = w; out.y = c.y + u; out.z = c.z + v; }
+    else if (axis === 'z') { out.x = c.x + u; out.y = c.y + v; out.z = w; }
+    else { out.x = c.x + u; out.y = w; out.z = c.z + v; }
+  };
+  
+  ParticleRenderer.TRANSITION_STYLES = ['morph', 'explode', 'dissolve', 'swirl'];
+  ParticleRenderer.MORPH_PATHS = ['straight', 'arc', 'spiral', 'noise'];
+  
+  // Default renderer options for the styles' and paths' parameters
+  const DEFAULTS = ParticleRenderer.TRANSITION_DEFAULTS = {
+    explodeDistance: 200,          // How far (px) explode scatters particles
+    swirlAxis: 'y',
+    swirlTurns: 1,
+    arcBend: 0.5,                  // Arc bulge as a share of the distance travelled
+    spiralAxis: 'y',
+    spiralTurns: 1,
+    pathNoise: 40                  // Largest noise wobble (px)
+  };
+  
+  // Position at t along the path from s to e, written to out
+  const pathPoint = (out, path, sx, sy, sz, tx, ty, tz, t, seed, c, params) => {
+    if (path === 'arc') {
+      // Quadratic curve through a control point: the shared one (offset from
+      // the center), or the midpoint pushed sideways by bend * length
+      let cx, cy, cz;
+      if (params.control) {
+        cx = c.x + (params.control.x ?? 0);
+        cy = c.y + (params.control.y ?? 0);
+        cz = c.z + (params.control.z ?? 0);
+      } else {
+        const bend = params.bend ?? DEFAULTS.arcBend;
+        cx = (sx + tx) / 2 - (ty - sy) * bend;
+        cy = (sy + ty) / 2 + (tx - sx) * bend;
+        cz = (sz + tz) / 2 + Math.hypot(tx - sx, ty - sy) * bend * 0.5;
+      }
+      const a = (1 - t) * (1 - t), b = 2 * (1 - t) * t, d = t * t;
+      out.x = a * sx + b * cx + d * tx;
+      out.y = a * sy + b * cy + d * ty;
+      out.z = a * sz + b * cz + d * tz;
+      return;
+    }
+    if (path === 'spiral') {
+      // Angle and radius around the axis interpolated, plus extra turns
+      const axis = params.spiralAxis ?? DEFAULTS.spiralAxis;
+      const [su, sv, sw] = toAxis(axis, sx, sy, sz, c);
+      const [tu, tv, tw] = toAxis(axis, tx, ty, tz, c);
+      const startAngle = Math.atan2(sv, su);
+      let sweep = Math.atan2(tv, tu) - startAngle;
+      if (sweep > Math.PI) sweep -= TAU;
+      if (sweep < -Math.PI) sweep += TAU;
+      sweep += TAU * (params.spiralTurns ?? DEFAULTS.spiralTurns);
+      const angle = startAngle + sweep * t;
+      const radius = Math.hypot(su, sv) + (Math.hypot(tu, tv) - Math.hypot(su, sv)) * t;
+      fromAxis(axis, Math.cos(angle) * radius, Math.sin(angle) * radius, sw + (tw - sw) * t, c, out);
+      return;
+    }
+    out.x = sx + (tx - sx) * t;
+    out.y = sy + (ty - sy) * t;
+    out.z = sz + (tz - sz) * t;
+    if (path === 'noise') {
+      // A few sine octaves per particle, faded out at both ends
+      const amount = (params.noise ?? DEFAULTS.pathNoise) * Math.sin(Math.PI * t) / 1.5;
+      const phase = seed * 100;
+      out.x += (Math.sin(t * TAU * 1.3 + phase) + 0.5 * Math.sin(t * TAU * 3.1 + phase * 1.7)) * amount;
+      out.y += (Math.sin(t * TAU * 1.1 + phase * 2.3) + 0.5 * Math.sin(t * TAU * 2.7 + phase * 0.7)) * amount;
+      out.z += (Math.sin(t * TAU * 0.9 + phase * 1.3) + 0.5 * Math.sin(t * TAU * 2.3 + phase * 2.9)) * amount;
+    }
+  };
+  
+  // Position of particle i at eased progress t of a morph in the given style,
+  // written to out as { x, y, z, mix, fade }: mix is how far colour, size and
+  // opacity have changed towards the target, fade multiplies the opacity.
+  // center: { x, y, z } the burst, swirl and spiral happen around.
+  // params: { distance: explode px (200), axis: swirl 'x' | 'y' | 'z' ('y'),
+  //           turns: whole swirl turns (1), path (see MORPH_PATHS),
+  //           bend: arc sideways bulge as a share of the path length (0.5),
+  //           control: arc control point { x, y, z } relative to center,
+  //           spiralAxis ('y'), spiralTurns: extra spiral turns (1),
+  //           noise: noise path amplitude px (40), stagger: share of the
+  //           morph spent starting particles one after another (0),
+  //           reverse: run a morph backwards with its ends swapped (as
+  //           cancelProgress does) }
+  ParticleRenderer.transitionStep = function(out, style, particles, i, t, center, params = {}) {
+    let sx = particles.morphStartX[i], sy = particles.morphStartY[i], sz = particles.morphStartZ[i];
+    let tx = particles.morphTargetX[i], ty = particles.morphTargetY[i], tz = particles.morphTargetZ[i];
+    if (params.reverse) {
+      // Same path as the forward morph, so nothing jumps when it turns back
+      [sx, tx] = [tx, sx];
+      [sy, ty] = [ty, sy];
+      [sz, tz] = [tz, sz];
+      t = 1 - t;
+    }
+    const stagger = Math.min(0.95, params.stagger ?? 0);
+    if (stagger > 0) {
+      // Each particle gets its own window of the morph
+      t = clamp01((t - stagger * particles.morphStagger[i]) / (1 - stagger));
+    }
+    const seed = particles.morphSeed[i];
+    const c = center.z === undefined ? { x: center.x, y: center.y, z: 0 } : center;
+    pathPoint(out, params.path ?? 'straight', sx, sy, sz, tx, ty, tz, t, seed, c, params);
+    let x = out.x, y = out.y, z = out.z;
+    let mix = t;
+    let fade = 1;
+    
+    if (style === 'explode') {
+      // Out from the center through the middle of the path, jittered per particle
+      let dx = (sx + tx) / 2 - c.x + Math.sin(seed * 91.7) * 40;
+      let dy = (sy + ty) / 2 - c.y + Math.sin(seed * 47.3 + 1) * 40;
+      let dz = (sz + tz) / 2 - c.z + Math.cos(seed * 63.1) * 40;
+      const length = Math.hypot(dx, dy, dz) || 1;
+      const reach = (params.distance ?? DEFAULTS.explodeDistance) * (0.5 + seed) * burst(t) / burstPeak;
+      x += dx / length * reach;
+      y += dy / length * reach;
+      z += dz / length * reach;
+    } else if (style === 'dissolve') {
+      // Switch ends while invisible, somewhere in the middle of the morph
+      const at = 0.35 + seed * 0.3;
+      if (t < at) {
+        x = sx; y = sy; z = sz;
+        mix = 0;
+        fade = clamp01((at - t) / DISSOLVE_FADE);
+      } else {
+        x = tx; y = ty; z = tz;
+        mix = 1;
+        fade = clamp01((t - at) / DISSOLVE_FADE);
+      }
+    } else if (style === 'swirl') {
+      const axis = params.axis ?? DEFAULTS.swirlAxis;
+      const [u, v, w] = toAxis(axis, x, y, z, c);
+      // Whole turns end where a straight morph would; the vortex extra
+      // (faster near the axis) is gone again at both ends
+      const radius = Math.hypot(u, v);
+      const vortex = Math.sin(Math.PI * t) * Math.PI * Math.max(0, 1 - radius / 400);
+      const angle = TAU * Math.round(params.turns ?? DEFAULTS.swirlTurns) * t + vortex;
+      const cos = Math.cos(angle), sin = Math.sin(angle);
+      fromAxis(axis, u * cos - v * sin, u * sin + v * cos, w, c, out);
+      x = out.x; y = out.y; z = out.z;
+    }
+    
+    if (params.reverse) mix = 1 - mix;
+    out.x = x;
+    out.y = y;
+    out.z = z;
+    out.mix = mix;
+    out.fade = fade;
+    return out;
+  };
+  
+  // Set each particle's morphStagger (0-1): the order particles start in
+  // when a morph is staggered. by:
+  //   'distance' - nearest to origin first (a wave spreading out)
+  //   'x' | 'y' | 'z' - lowest coordinate first (a sweep along the axis)
+  //   'random'   - in random order
+  // Positions are taken from the morph start.
+  ParticleRenderer.assignStagger = function(particles, by = 'distance', origin = { x: 0, y: 0, z: 0 }) {
+    const { morphStartX: sx, morphStartY: sy, morphStartZ: sz, morphStagger: order } = particles;
+    const key = by === 'x' ? i => sx[i]
+      : by === 'y' ? i => sy[i]
+      : by === 'z' ? i => sz[i]
+      : by === 'random' ? () => Math.random()
+      : i => Math.hypot(sx[i] - origin.x, sy[i] - origin.y, sz[i] - (origin.z ?? 0));
+    let min = Infinity, max = -Infinity;
+    for (let i = 0; i < particles.length; i++) {
+      order[i] = key(i);
+      if (order[i] < min) min = order[i];
+      if (order[i] > max) max = order[i];
+    }
+    const range = max - min;
+    for (let i = 0; i < particles.length; i++) {
+      order[i] = range > 0 ? (order[i] - min) / range : 0;
+    }
+  };
+  
+  // Random point just outside a width x height canvas, for particles that
+  // gather in from (or scatter out to) the edges
+  ParticleRenderer.edgePoint = function(width, height, margin = 20) {
+    const w = width + margin * 2;
+    const h = height + margin * 2;
+    let d = Math.random() * 2 * (w + h);
+    if (d < w) return { x: d - margin, y: -margin };
+    d -= w;
+    if (d < h) return { x: width + margin, y: d - margin };
+    d -= h;
+    if (d < w) return { x: width + margin - d, y: height + margin };
+    d -= w;
+    return { x: -margin, y: height + margin - d };
+  };
+  
+  // Intro/outro styles. The renderer replaces anything else with 'none'
+  ParticleRenderer.GATHER_STYLES = ['none', 'gather'];
+  
+  // Whether an intro/outro option value asks for the gather animation
+  ParticleRenderer.isGather = function(style) {
+    return style === 'gather';
+  };
+})();
+
+// ============================================================================
+// Particle shapes (shared with the editor)
+// ============================================================================
+// A shape is one of:
+//   'circle' | 'square' | 'diamond' | 'ring' | 'star'
+//   a Path2D, or { type: 'path', d: '<SVG path data>' }, drawn in a -1..1 box
+//   { type: 'glyph', text: '★', font: 'sans-serif' } - a character or emoji
+//   { type: 'image', src: url or <img>/<canvas>, tint: true } - a sprite,
+//     tinted to each particle's colour unless tint is false
+// Only the name and object forms can be saved in a frame file.
+
+(() => {
+  const TAU = Math.PI * 2;
+  const SHAPE_NAMES = ['circle', 'square', 'diamond', 'ring', 'star'];
+  const SPRITE_SIZE = 64;          // Tinted sprites are cached at this size
+  const SPRITE_CACHE_LIMIT = 512;  // Colours are quantised, so this rarely fills
+  
+  const rgba = (r, g, b, a) => `rgba(${r},${g},${b},${a})`;
+  
+  // Regular star outline through 2 * points vertices
+  const starPath = (ctx, x, y, radius, points = 5, inner = 0.45) => {
+    for (let i = 0; i < points * 2; i++) {
+      const rr = i % 2 === 0 ? radius : radius * inner;
+      const angle = -Math.PI / 2 + i * Math.PI / points;
+      const px = x + Math.cos(angle) * rr;
+      const py = y + Math.sin(angle) * rr;
+      if (i === 0) ctx.moveTo(px, py);
+      else ctx.lineTo(px, py);
+    }
+    ctx.closePath();
+  };
+  
+  // Filled shapes as sub-paths added to the current path, so a batch of
+  // particles can share one fill (see createBatchDrawer)
+  const shapePaths = {
+    circle(ctx, x, y, radius) {
+      ctx.moveTo(x + radius, y);
+      ctx.arc(x, y, radius, 0, TAU);
+    },
+    square(ctx, x, y, radius) {
+      ctx.rect(x - radius, y - radius, radius * 2, radius * 2);
+    },
+    diamond(ctx, x, y, radius) {
+      ctx.moveTo(x, y - radius);
+      ctx.lineTo(x + radius, y);
+      ctx.lineTo(x, y + radius);
+      ctx.lineTo(x - radius, y);
+      ctx.closePath();
+    },
+    star(ctx, x, y, radius) {
+      starPath(ctx, x, y, radius);
+    }
+  };
+  
+  // Each takes the CSS colour to paint with
+  const vectorShapes = {
+    circle(ctx, x, y, radius, style) {
+      ctx.fillStyle = style;
+      ctx.beginPath();
+      ctx.arc(x, y, radius, 0, TAU);
+      ctx.fill();
+    },
+    square(ctx, x, y, radius, style) {
+      ctx.fillStyle = style;
+      ctx.fillRect(x - radius, y - radius, radius * 2, radius * 2);
+    },
+    diamond(ctx, x, y, radius, style) {
+      ctx.fillStyle = style;
+      ctx.beginPath();
+      shapePaths.diamond(ctx, x, y, radius);
+      ctx.fill();
+    },
+    ring(ctx, x, y, radius, style) {
+      // Stroke inside the radius so rings and circles cover the same area
+      const width = Math.max(0.5, radius * 0.35);
+      ctx.lineWidth = width;
+      ctx.strokeStyle = style;
+      ctx.beginPath();
+      ctx.arc(x, y, Math.max(0, radius - width / 2), 0, TAU);
+      ctx.stroke();
+    },
+    star(ctx, x, y, radius, style) {
+      ctx.fillStyle = style;
+      ctx.beginPath();
+      shapePaths.star(ctx, x, y, radius);
+      ctx.fill();
+    }
+  };
+  
+  // True if createBatchDrawer can draw shape (the filled built-in shapes)
+  ParticleRenderer.isBatchableShape = function(shape) {
+    return typeof shape === 'string' && Object.keys(shapePaths).includes(shape);
+  };
+  
+  // True if shape is something createShapeDrawer understands
+  ParticleRenderer.isShape = function(shape) {
+    if (typeof shape === 'string') return SHAPE_NAMES.includes(shape);
+    if (typeof Path2D !== 'undefined' && shape instanceof Path2D) return true;
+    if (!shape || typeof shape !== 'object') return false;
+    switch (shape.type) {
+      case 'path': return typeof shape.d === 'string';
+      case 'glyph': return typeof shape.text === 'string' && shape.text.length > 0;
+      case 'image': return typeof shape.src === 'string' || (typeof shape.src === 'object' && shape.src !== null);
+      default: return false;
+    }
+  };
+  
+  // Sprite source with a cache of copies tinted per (quantised) colour
+  const createSprite = (shape) => {
+    let image = shape.src;
+    if (typeof image === 'string') {
+      image = new Image();
+      image.src = shape.src;
+    }
+    const ready = () => image.complete !== false && (image.naturalWidth ?? image.width) > 0;
+    const tint = shape.tint !== false;
+    const cache = new Map();
+    
+    const tinted = (r, g, b) => {
+      const key = (r << 16) | (g << 8) | b;
+      let sprite = cache.get(key);
+      if (sprite) return sprite;
+      if (cache.size >= SPRITE_CACHE_LIMIT) cache.clear();
+      
+      sprite = document.createElement('canvas');
+      sprite.width = sprite.height = SPRITE_SIZE;
+      const sctx = sprite.getContext('2d');
+      sctx.drawImage(image, 0, 0, SPRITE_SIZE, SPRITE_SIZE);
+      // Multiply keeps the sprite's shading, then its alpha is restored
+      sctx.globalCompositeOperation = 'multiply';
+      sctx.fillStyle = `rgb(${r},${g},${b})`;
+      sctx.fillRect(0, 0, SPRITE_SIZE, SPRITE_SIZE);
+      sctx.globalCompositeOperation = 'destination-in';
+      sctx.drawImage(image, 0, 0, SPRITE_SIZE, SPRITE_SIZE);
+      cache.set(key, sprite);
+      return sprite;
+    };
+    
+    return (ctx, x, y, radius, r, g, b, alpha) => {
+      if (!ready()) {
+        // Circles until the image has loaded
+        vectorShapes.circle(ctx, x, y, radius, rgba(r, g, b, alpha));
+        return;
+      }
+      // Quantise to 32 levels per channel so morphing colours reuse sprites
+      const source = tint ? tinted(r & 0xF8, g & 0xF8, b & 0xF8) : image;
+      const previousAlpha = ctx.globalAlpha;
+      ctx.globalAlpha = previousAlpha * alpha;
+      ctx.drawImage(source, x - radius, y - radius, radius * 2, radius * 2);
+      ctx.globalAlpha = previousAlpha;
+    };
+  };
+  
+  // Build a drawer that collects particles with draw(ctx, x, y, radius, r, g,
+  // b, alpha) (the shape drawers' signature; nothing is painted yet) and
+  // paints them with flush(ctx, shape): particles are grouped by
+  // colour (32 levels per channel) and opacity (32 levels), and each group is
+  // one path with one fill instead of a fillStyle and fill per particle.
+  // Groups are drawn in the order their first particle was added, so depth
+  // order holds between groups only roughly (depth fog helps, as opacity
+  // follows depth), and overlapping particles of one group don't add up.
+  ParticleRenderer.createBatchDrawer = function() {
+    let capacity = 0;
+    let xs, ys, radii, keys, grouped;
+    let count = 0;
+    const groups = new Map();      // Key -> group index, in order of first use
+    let groupKeys = new Uint32Array(64);
+    let groupStarts = new Uint32Array(64);
+    
+    const grow = (size) => {
+      capacity = Math.max(size, capacity * 2, 256);
+      const resize = (Type, array) => {
+        const next = new Type(capacity);
+        if (array) next.set(array.subarray(0, count));
+        return next;
+      };
+      xs = resize(Float32Array, xs);
+      ys = resize(Float32Array, ys);
+      radii = resize(Float32Array, radii);
+      keys = resize(Uint32Array, keys);
+      grouped = new Uint32Array(capacity);
+    };
+    
+    // Channel level (0-31) back to 0-255, so full intensity stays full
+    const channel = level => Math.round(level * 255 / 31);
+    
+    return {
+      draw(ctx, x, y, radius, r, g, b, alpha) {
+        const a = Math.round(Math.min(1, alpha) * 31);
+        if (a <= 0 || radius <= 0) return;
+        if (count === capacity) grow(count + 1);
+        xs[count] = x;
+        ys[count] = y;
+        radii[count] = radius;
+        // Overshooting easings can take channels past 0-255
+        r = Math.max(0, Math.min(255, r | 0));
+        g = Math.max(0, Math.min(255, g | 0));
+        b = Math.max(0, Math.min(255, b | 0));
+        keys[count] = (r >> 3) << 15 | (g >> 3) << 10 | (b >> 3) << 5 | a;
+        count++;
+      },
+      
+      flush(ctx, shape = 'circle') {
+        if (count === 0) return;
+        const addPath = shapePaths[shape] || shapePaths.circle;
+        
+        // Count each group, then lay particles out group by group (keeping
+        // their order within a group)
+        groups.clear();
+        for (let k = 0; k < count; k++) {
+          let group = groups.get(keys[k]);
+          if (group === undefined) {
+            group = groups.size;
+            if (group === groupKeys.length) {
+              const nextKeys = new Uint32Array(group * 2);
+              const nextStarts = new Uint32Array(group * 2);
+              nextKeys.set(groupKeys);
+              nextStarts.set(groupStarts);
+              groupKeys = nextKeys;
+              groupStarts = nextStarts;
+            }
+            groups.set(keys[k], group);
+            groupKeys[group] = keys[k];
+            groupStarts[group] = 0;
+          }
+          groupStarts[group]++;
+          keys[k] = group;
+        }
+        const groupCount = groups.size;
+        let total = 0;
+        for (let group = 0; group < groupCount; group++) {
+          const size = groupStarts[group];
+          groupStarts[group] = total;
+          total += size;
+        }
+        for (let k = 0; k < count; k++) grouped[groupStarts[keys[k]]++] = k;
+        
+        // groupStarts now holds where each group ends
+        let start = 0;
+        for (let group = 0; group < groupCount; group++) {
+          const key = groupKeys[group];
+          ctx.fillStyle = rgba(channel(key >> 15 & 31), channel(key >> 10 & 31), channel(key >> 5 & 31), (key & 31) / 31);
+          ctx.beginPath();
+          const end = groupStarts[group];
+          for (let j = start; j < end; j++) {
+            const k = grouped[j];
+            addPath(ctx, xs[k], ys[k], radii[k]);
+          }
+          ctx.fill();
+          start = end;
+        }
+        count = 0;
+      }
+    };
+  };
+  
+  // Build a draw(ctx, x, y, radius, r, g, b, alpha) function for a shape.
+  // Unknown shapes draw circles.
+  ParticleRenderer.createShapeDrawer = function(shape = 'circle') {
+    if (!ParticleRenderer.isShape(shape)) {
+      if (shape !== undefined && shape !== null) {
+        console.warn('ParticleRenderer: unknown shape, using circle', shape);
+      }
+      shape = 'circle';
+    }
+    
+    if (typeof shape === 'string') {
+      const drawShape = vectorShapes[shape];
+      return (ctx, x, y, radius, r, g, b, alpha) => {
+        drawShape(ctx, x, y, radius, rgba(r, g, b, alpha));
+      };
+    }
+    
+    if (shape.type === 'glyph') {
+      const family = shape.font || 'sans-serif';
+      return (ctx, x, y, radius, r, g, b, alpha) => {
+        ctx.fillStyle = rgba(r, g, b, alpha);
+        ctx.font = `${Math.max(1, radius * 2).toFixed(1)}px ${family}`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(shape.text, x, y);
+      };
+    }
+    
+    if (shape.type === 'image') {
+      return createSprite(shape);
+    }
+    
+    // Path2D (given directly or as SVG path data) in a -1..1 box
+    const path = shape.type === 'path' ? new Path2D(shape.d) : shape;
+    return (ctx, x, y, radius, r, g, b, alpha) => {
+      ctx.fillStyle = rgba(r, g, b, alpha);
+      ctx.save();
+      ctx.translate(x, y);
+      ctx.scale(radius, radius);
+      ctx.fill(path);
+      ctx.restore();
+    };
+  };
+})();
+
+// ============================================================================
+// Draw modes (shared with the editor)
+// ============================================================================
+// How a frame's particles reach the canvas:
+//   'shapes' - one fillStyle and fill per particle (any shape, exact overlaps)
+//   'batch'  - grouped by colour and opacity, one path per group (see
+//              createBatchDrawer); built-in filled shapes only
+//   'pixels' - written straight into an ImageData (see createPixelDrawer);
+//              for particles a pixel or two across, where shape can't be seen
+//   'auto'   - 'pixels' for many tiny particles, 'batch' for many others,
+//              otherwise 'shapes'
+// A mode that can't draw the current shape falls back to the next one down.
+
+ParticleRenderer.DRAW_MODES = ['auto', 'shapes', 'batch', 'pixels'];
+
+(() => {
+  const AUTO_MIN_COUNT = 1000;     // Fewer particles than this draw as shapes in 'auto'
+  const PIXEL_MAX_RADIUS = 1;      // Largest radius (backing-store pixels) 'auto' draws as pixels
+  
+  // Resolve a draw mode for this frame. options: shape, count, radius (the
+  // base particle radius in CSS pixels) and pixelRatio.
+  // Returns: 'shapes', 'batch' or 'pixels'
+  ParticleRenderer.chooseDrawMode = function(mode = 'auto', { shape = 'circle', count = 0, radius = 1, pixelRatio = 1 } = {}) {
+    const many = count >= AUTO_MIN_COUNT;
+    if (mode === 'pixels' || (mode === 'auto' && many && radius * pixelRatio <= PIXEL_MAX_RADIUS)) {
+      return 'pixels';
+    }
+    if ((mode === 'batch' || (mode === 'auto' && many)) && ParticleRenderer.isBatchableShape(shape)) {
+      return 'batch';
+    }
+    return 'shapes';
+  };
+  
+  // Build a drawer that writes particles as squares of pixels: begin(ctx,
+  // pixelRatio) once per frame, draw(ctx, x, y, radius, r, g, b, alpha) per
+  // particle (like the shape drawers) and end(ctx) to composite them onto the
+  // canvas with its current globalCompositeOperation. Pixels go through a
+  // Uint32 view of an offscreen ImageData; particles smaller than a pixel
+  // are faded by how much of it they cover rather than dropped.
+  ParticleRenderer.createPixelDrawer = function() {
+    const littleEndian = new Uint8Array(new Uint32Array([1]).buffer)[0] === 1;
+    let layer = null;              // Offscreen canvas the pixels are put into
+    let layerCtx = null;
+    let image = null;
+    let data = null;               // image.data, and as packed RGBA words
+    let words = null;
+    let width = 0, height = 0;
+    let scale = 1;
+    let additive = false;
+    let minX, minY, maxX, maxY;    // Pixels written this frame
+    
+    const pack = (r, g, b) => littleEndian
+      ? (255 << 24 | b << 16 | g << 8 | r) >>> 0
+      : (r << 24 | g << 16 | b << 8 | 255) >>> 0;
+    
+    return {
+      begin(ctx, pixelRatio = 1) {
+        const canvas = ctx.canvas;
+        if (!layer || width !== canvas.width || height !== canvas.height) {
+          width = canvas.width;
+          height = canvas.height;
+          layer = layer || document.createElement('canvas');
+          layer.width = width;
+          layer.height = height;
+          layerCtx = layer.getContext('2d');
+          image = layerCtx.createImageData(width, height);
+          data = image.data;
+          words = new Uint32Array(data.buffer);
+        }
+        scale = pixelRatio;
+        additive = ctx.globalCompositeOperation === 'lighter';
+        minX = minY = Infinity;
+        maxX = maxY = -Infinity;
+      },
+      
+      draw(ctx, x, y, radius, r, g, b, alpha) {
+        if (!image || alpha <= 0 || radius <= 0) return;
+        const diameter = radius * 2 * scale;
+        const side = Math.max(1, Math.round(diameter));
+        // Same coverage as the circle it stands for
+        const a = Math.min(1, alpha * Math.min(1, Math.PI * diameter * diameter / 4 / (side * side)));
+        // Square before clipping, so one wholly off the canvas draws nothing
+        const left = Math.round(x * scale - side / 2);
+        const top = Math.round(y * scale - side / 2);
+        const x0 = Math.max(0, left);
+        const y0 = Math.max(0, top);
+        const x1 = Math.min(width, left + side);
+        const y1 = Math.min(height, top + side);
+        if (x0 >= x1 || y0 >= y1) return;
+        if (x0 < minX) minX = x0;
+        if (y0 < minY) minY = y0;
+        if (x1 > maxX) maxX = x1;
+        if (y1 > maxY) maxY = y1;
+        
+        r = Math.max(0, Math.min(255, Math.round(r)));
+        g = Math.max(0, Math.min(255, Math.round(g)));
+        b = Math.max(0, Math.min(255, Math.round(b)));
+        const opaque = a >= 1 && !additive ? pack(r, g, b) : 0;
+        for (let py = y0; py < y1; py++) {
+          for (let px = x0; px < x1; px++) {
+            const p = py * width + px;
+            if (opaque) {
+              words[p] = opaque;
+              continue;
+            }
+            // Unpremultiplied source-over (or lighter) onto what's there
+            const o = p * 4;
+            const da = data[o + 3] / 255;
+            const keep = additive ? da : da * (1 - a);
+            const oa = additive ? Math.min(1, a + da) : a + keep;
+            data[o] = Math.min(255 * oa, r * a + data[o] * keep) / oa;
+            data[o + 1] = Math.min(255 * oa, g * a + data[o + 1] * keep) / oa;
+            data[o + 2] = Math.min(255 * oa, b * a + data[o + 2] * keep) / oa;
+            data[o + 3] = oa * 255;
+          }
+        }
+      },
+      
+      end(ctx) {
+        if (!image || maxX < minX) return;
+        const w = maxX - minX;
+        const h = maxY - minY;
+        layerCtx.putImageData(image, 0, 0, minX, minY, w, h);
+        ctx.save();
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.drawImage(layer, minX, minY, w, h, minX, minY, w, h);
+        ctx.restore();
+        // Clear what was written, ready for the next frame
+        for (let py = minY; py < maxY; py++) words.fill(0, py * width + minX, py * width + maxX);
+      }
+    };
+  };
+})();
+
+// ============================================================================
+// Adaptive quality (shared with the editor)
+// ============================================================================
+// When frames overrun the budget of a target frame rate, quality steps down
+// one of QUALITY_LEVELS at a time; once frames have plenty of headroom again
+// it steps back up. Each level gives:
+//   particles  - share of particles drawn (see subsampleRank)
+//   effects    - whether depth fog, glow and wireframe stay on
+//   pixelRatio - multiplier of the backing-store pixel ratio
+// Overruns are judged by the interval between frames (what the viewer
+// sees), headroom by the time the frame's own work took, since the interval
+// never drops below the display's refresh. A target above the display's
+// refresh rate can't be met and ends at the lowest level.
+
+ParticleRenderer.QUALITY_LEVELS = [
+  { particles: 1, effects: true, pixelRatio: 1 },
+  { particles: 0.75, effects: true, pixelRatio: 1 },
+  { particles: 0.5, effects: false, pixelRatio: 1 },
+  { particles: 0.5, effects: false, pixelRatio: 0.75 },
+  { particles: 0.35, effects: false, pixelRatio: 0.5 },
+  { particles: 0.25, effects: false, pixelRatio: 0.5 }
+];
+
+(() => {
+  const GOLDEN = 0.6180339887498949;
+  const SAMPLE_FRAMES = 30;        // Frames averaged for each decision
+  const OVERRUN = 1.2;             // Step down when frames average this share of the budget
+  const HEADROOM = 0.5;            // Step up when work averages under this share of the budget...
+  const RESTORE_FRAMES = 90;       // ...for this many frames in a row
+  const MAX_BACKOFF = 8;           // Longest wait to step up, in multiples of RESTORE_FRAMES
+  const MAX_INTERVAL = 250;        // Longer gaps (a stalled or hidden tab) aren't counted
+  
+  // Rank (0-1) of particle i when subsampling: it's drawn while its rank is
+  // below the share kept. Consecutive indices spread evenly over 0-1 (a
+  // golden ratio sequence), so points traced along an outline thin out
+  // evenly along it rather than leaving gaps, and the same particles stay
+  // visible from frame to frame.
+  ParticleRenderer.subsampleRank = i => (i * GOLDEN) % 1;
+  
+  // Create a quality controller. options: targetFps (60) and maxLevel (the
+  // lowest quality it may use, an index of QUALITY_LEVELS). Call
+  // update(interval, work) once per frame with the time since the previous
+  // frame and the time this frame's work took (ms). Returns: true when the
+  // level changed; read it from controller.level and controller.settings
+  ParticleRenderer.createQualityController = function({ targetFps = 60, maxLevel = ParticleRenderer.QUALITY_LEVELS.length - 1 } = {}) {
+    let frames = 0;
+    let intervalSum = 0;
+    let workSum = 0;
+    let calmFrames = 0;            // Frames in a row with headroom
+    let sinceRestore = Infinity;   // Frames since the last step up
+    let backoff = 1;               // Grows when a step up is soon undone
+    
+    return {
+      level: 0,
+      targetFps,
+      maxLevel,
+      
+      get settings() {
+        return ParticleRenderer.QUALITY_LEVELS[this.level];
+      },
+      
+      update(interval, work) {
+        if (!(interval > 0) || interval > MAX_INTERVAL) return false;
+        intervalSum += interval;
+        workSum += work;
+        sinceRestore++;
+        if (++frames < SAMPLE_FRAMES) return false;
+        
+        const budget = 1000 / this.targetFps;
+        const averageInterval = intervalSum / frames;
+        const averageWork = workSum / frames;
+        frames = intervalSum = workSum = 0;
+        if (sinceRestore > RESTORE_FRAMES * 2) backoff = 1;
+        
+        const maxLevel = Math.min(this.maxLevel, ParticleRenderer.QUALITY_LEVELS.length - 1);
+        if (averageInterval > budget * OVERRUN && this.level < maxLevel) {
+          // The level it came back up to couldn't keep up: wait longer next time
+          if (sinceRestore <= RESTORE_FRAMES * 2) backoff = Math.min(MAX_BACKOFF, backoff * 2);
+          calmFrames = 0;
+          this.level++;
+          return true;
+        }
+        
+        if (averageWork < budget * HEADROOM && averageInterval <= budget * OVERRUN && this.level > 0) {
+          calmFrames += SAMPLE_FRAMES;
+          if (calmFrames >= RESTORE_FRAMES * backoff) {
+            calmFrames = 0;
+            sinceRestore = 0;
+            this.level--;
+            return true;
+          }
+        } else {
+          calmFrames = 0;
+        }
+        return false;
+      },
+      
+      // Back to full quality, forgetting the frames measured so far
+      reset() {
+        frames = intervalSum = workSum = calmFrames = 0;
+        sinceRestore = Infinity;
+        backoff = 1;
+        const changed = this.level !== 0;
+        this.level = 0;
+        return changed;
+      }
+    };
+  };
+})();
+
+// ============================================================================
+// Effects (shared with the editor)
+// ============================================================================
+// Post effects applied around the particle pass:
+//   background/trail - how much of the previous frame survives each frame
+//   blend mode       - globalCompositeOperation used to draw particles
+//   glow             - a soft radial halo behind each particle
+
+(() => {
+  const GLOW_SIZE = 64;            // Glow sprites are cached at this size
+  const GLOW_CACHE_LIMIT = 512;
+  
+  // Friendly names for globalCompositeOperation values
+  ParticleRenderer.blendModes = {
+    normal: 'source-over',
+    additive: 'lighter',
+    lighter: 'lighter',
+    screen: 'screen',
+    multiply: 'multiply',
+    overlay: 'overlay'
+  };
+  
+  // Canvas composite operation for a blend mode name (or a raw operation)
+  ParticleRenderer.compositeOperation = function(blendMode) {
+    return ParticleRenderer.blendModes[blendMode] || blendMode || 'source-over';
+  };
+  
+  // True if the background should leave the canvas see-through
+  const isTransparent = color => !color || color === 'transparent';
+  
+  // Prepare the canvas for the next frame.
+  // trail is the share of the previous frame still visible after 1/60 s
+  // (0 = clean redraw, 0.9 = long trails); dt (ms) keeps it frame-rate
+  // independent. Without a trail, a translucent background colour fades
+  // the previous frame by its own alpha, as before trails were an option.
+  ParticleRenderer.paintBackground = function(ctx, width, height, background, trail = null, dt = 1000 / 60) {
+    if (trail === null || trail === undefined) {
+      if (isTransparent(background)) {
+        ctx.clearRect(0, 0, width, height);
+      } else {
+        ctx.fillStyle = background;
+        ctx.fillRect(0, 0, width, height);
+      }
+      return;
+    }
+    
+    const keep = trail > 0 ? Math.pow(Math.min(trail, 1), dt / (1000 / 60)) : 0;
+    if (keep >= 1) return;
+    if (keep <= 0 && isTransparent(background)) {
+      ctx.clearRect(0, 0, width, height);
+      return;
+    }
+    
+    ctx.save();
+    ctx.globalAlpha = 1 - keep;
+    if (isTransparent(background)) {
+      // Fade existing pixels towards transparent rather than painting over them
+      ctx.globalCompositeOperation = 'destination-out';
+      ctx.fillStyle = '#000';
+    } else {
+      ctx.fillStyle = background;
+    }
+    ctx.fillRect(0, 0, width, height);
+    ctx.restore();
+  };
+  
+  // Build a glow(ctx, x, y, radius, r, g, b, alpha) function that draws a
+  // radial halo of the given radius. Halos are cached per quantised colour.
+  ParticleRenderer.createGlowDrawer = function() {
+    const cache = new Map();
+    
+    const sprite = (r, g, b) => {
+      const key = (r << 16) | (g << 8) | b;
+      let glow = cache.get(key);
+      if (glow) return glow;
+      if (cache.size >= GLOW_CACHE_LIMIT) cache.clear();
+      
+      glow = document.createElement('canvas');
+      glow.width = glow.height = GLOW_SIZE;
+      const gctx = glow.getContext('2d');
+      const half = GLOW_SIZE / 2;
+      const gradient = gctx.createRadialGradient(half, half, 0, half, half, half);
+      gradient.addColorStop(0, `rgba(${r},${g},${b},1)`);
+      gradient.addColorStop(0.25, `rgba(${r},${g},${b},0.45)`);
+      gradient.addColorStop(1, `rgba(${r},${g},${b},0)`);
+      gctx.fillStyle = gradient;
+      gctx.fillRect(0, 0, GLOW_SIZE, GLOW_SIZE);
+      cache.set(key, glow);
+      return glow;
+    };
+    
+    return (ctx, x, y, radius, r, g, b, alpha) => {
+      if (alpha <= 0 || radius <= 0) return;
+      const previousAlpha = ctx.globalAlpha;
+      ctx.globalAlpha = previousAlpha * Math.min(1, alpha);
+      ctx.drawImage(sprite(r & 0xF8, g & 0xF8, b & 0xF8), x - radius, y - radius, radius * 2, radius * 2);
+      ctx.globalAlpha = previousAlpha;
+    };
+  };
+})();
+
+// ============================================================================
+// Force fields (shared with the editor)
+// ============================================================================
+// The pointer pushes ('repel') or pulls ('attract') particles within
+// `radius` screen pixels, and a spring eases them back to their frame
+// positions afterwards. Shockwaves are rings that expand from a click and
+// shove particles outwards as they pass.
+// Particles (see createParticleBuffer) provide screenX/screenY (where they
+// were last drawn) and carry their displacement in forceX/Y/Z with velocity
+// forceVX/VY/VZ, in view space (screen pixels; +z is towards the viewer).
+
+(() => {
+  const FORCE_SCALE = 3;           // Acceleration at the pointer for strength 1 (px per 1/60 s²)
+  const WAVE_SPEED = 0.6;          // Shockwave front speed (px/ms)
+  const WAVE_WIDTH = 40;           // Width of the band a passing wave pushes (px)
+  const REST = 0.01;               // Displacement/velocity treated as settled
+  
+  ParticleRenderer.FORCE_DEFAULTS = {
+    mode: 'none',                  // 'none', 'repel' or 'attract'
+    radius: 100,
+    strength: 1,
+    stiffness: 0.06,               // Spring pull home per 1/60 s
+    damping: 0.85,                 // Share of velocity kept per 1/60 s
+    shockwaveStrength: 1,
+    shockwaveRadius: 300
+  };
+  
+  // Create the state of one force field: the pointer position (set it to
+  // { x, y } or null) and the running shockwaves
+  ParticleRenderer.createForceField = function() {
+    return {
+      pointer: null,
+      waves: [],
+      active: false,               // Some particle is still displaced
+      
+      // Launch a shockwave from a point in canvas pixels
+      shockwave(x, y) {
+        this.waves.push({ x, y, age: 0 });
+      },
+      
+      // Advance particle displacements by dt ms with the given settings
+      // (see FORCE_DEFAULTS). Returns true while anything is still moving.
+      step(particles, dt, settings = {}) {
+        const s = { ...ParticleRenderer.FORCE_DEFAULTS, ...settings };
+        const pointer = s.mode === 'repel' || s.mode === 'attract' ? this.pointer : null;
+        const radius = Math.max(1, s.radius);
+        const direction = s.mode === 'attract' ? -1 : 1;
+        
+        for (const wave of this.waves) wave.age += dt;
+        this.waves = this.waves.filter(wave => wave.age * WAVE_SPEED - WAVE_WIDTH < s.shockwaveRadius);
+        if (!pointer && this.waves.length === 0 && !this.active) return false;
+        
+        const k = dt / (1000 / 60);
+        const keep = Math.pow(s.damping, k);
+        let active = false;
+        
+        const { screenX, screenY, forceX, forceY, forceZ, forceVX, forceVY, forceVZ } = particles;
+        for (let i = 0; i < particles.length; i++) {
+          let ax = 0, ay = 0, az = 0;
+          
+          if (pointer) {
+            const dx = screenX[i] - pointer.x;
+            const dy = screenY[i] - pointer.y;
+            const d = Math.hypot(dx, dy);
+            if (d < radius) {
+              const falloff = 1 - d / radius;
+              const f = falloff * falloff * s.strength * FORCE_SCALE * direction;
+              // Straight under the pointer there's no direction; push in depth only
+              if (d > 1e-3) {
+                ax += dx / d * f;
+                ay += dy / d * f;
+              }
+              az -= f * 0.5;
+            }
+          }
+          
+          for (const wave of this.waves) {
+            const dx = screenX[i] - wave.x;
+            const dy = screenY[i] - wave.y;
+            const d = Math.hypot(dx, dy);
+            const front = wave.age * WAVE_SPEED;
+            const gap = Math.abs(d - front);
+            if (gap < WAVE_WIDTH && d > 1e-3) {
+              // Weaker as the ring grows
+              const fade = Math.max(0, 1 - front / s.shockwaveRadius);
+              const f = (1 - gap / WAVE_WIDTH) * fade * s.shockwaveStrength * FORCE_SCALE;
+              ax += dx / d * f;
+              ay += dy / d * f;
+              az += f * 0.5;
+            }
+          }
+          
+          // Spring back to the frame position
+          ax -= forceX[i] * s.stiffness;
+          ay -= forceY[i] * s.stiffness;
+          az -= forceZ[i] * s.stiffness;
+          
+          forceVX[i] = (forceVX[i] + ax * k) * keep;
+          forceVY[i] = (forceVY[i] + ay * k) * keep;
+          forceVZ[i] = (forceVZ[i] + az * k) * keep;
+          forceX[i] += forceVX[i] * k;
+          forceY[i] += forceVY[i] * k;
+          forceZ[i] += forceVZ[i] * k;
+          
+          if (Math.abs(forceX[i]) + Math.abs(forceY[i]) + Math.abs(forceZ[i]) > REST ||
+              Math.abs(forceVX[i]) + Math.abs(forceVY[i]) + Math.abs(forceVZ[i]) > REST) {
+            active = true;
+          } else {
+            forceX[i] = forceY[i] = forceZ[i] = 0;
+            forceVX[i] = forceVY[i] = forceVZ[i] = 0;
+          }
+        }
+        
+        this.active = active;
+        return active || this.waves.length > 0;
+      }
+    };
+  };
+})();
+
+// ============================================================================
+// Sequencing (shared with the editor)
+// ============================================================================
+
+// Next step of an autoplay sequence over `count` frames.
+// loopMode: 'loop' wraps around, 'pingpong' reverses at either end, 'once'
+// stops on the last frame. Returns { index, direction } or null when done.
+ParticleRenderer.sequenceStep = function(index, count, loopMode, direction = 1) {
+  if (count < 2) return null;
+  if (loopMode === 'pingpong') {
+    if (index + direction < 0 || index + direction >= count) direction = -direction;
+    return { index: index + direction, direction };
+  }
+  if (loopMode === 'once') {
+    return index + 1 < count ? { index: index + 1, direction: 1 } : null;
+  }
+  return { index: (index + 1) % count, direction: 1 };
+};
+
+// ============================================================================
+// Point correspondence (shared with the editor)
+// ============================================================================
+// Decides which source particle travels to which target point during a
+// morph. Modes:
+//   index   - pair by array position, excess pairs at random (legacy)
+//   angle   - pair by angle around each shape's centroid
+//   nearest - greedy nearest neighbour
+//   optimal - nearest, refined by swapping pairs that shorten total travel
+
+(() => {
+  const dist2 = (a, b) => {
+    const dx = a.x - b.x, dy = a.y - b.y, dz = (a.z || 0) - (b.z || 0);
+    return dx * dx + dy * dy + dz * dz;
+  };
+  
+  // Uniform 2D grid over x/y for nearest-neighbour queries
+  const buildGrid = (pts) => {
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    for (const p of pts) {
+      if (p.x < minX) minX = p.x;
+      if (p.x > maxX) maxX = p.x;
+      if (p.y < minY) minY = p.y;
+      if (p.y > maxY) maxY = p.y;
+    }
+    const size = Math.max(maxX - minX, maxY - minY, 1e-6);
+    const cell = size / Math.ceil(Math.sqrt(pts.length));
+    const cols = Math.floor((maxX - minX) / cell) + 1;
+    const rows = Math.floor((maxY - minY) / cell) + 1;
+    const cells = Array.from({ length: cols * rows }, () => []);
+    const cellOf = (x, y) => {
+      const cx = Math.min(cols - 1, Math.max(0, Math.floor((x - minX) / cell)));
+      const cy = Math.min(rows - 1, Math.max(0, Math.floor((y - minY) / cell)));
+      return [cx, cy];
+    };
+    pts.forEach((p, i) => {
+      const [cx, cy] = cellOf(p.x, p.y);
+      cells[cy * cols + cx].push(i);
+    });
+    
+    return {
+      // Index of the point nearest to q, or -1 if the grid is empty
+      nearest(q) {
+        const [qx, qy] = cellOf(q.x, q.y);
+        const maxRing = Math.max(cols, rows);
+        let best = -1, bestD = Infinity;
+        for (let r = 0; r <= maxRing; r++) {
+          for (let cy = qy - r; cy <= qy + r; cy++) {
+            if (cy < 0 || cy >= rows) continue;
+            const edgeRow = cy === qy - r || cy === qy + r;
+            for (let cx = qx - r; cx <= qx + r; cx += edgeRow ? 1 : 2 * r || 1) {
+              if (cx < 0 || cx >= cols) continue;
+              for (const i of cells[cy * cols + cx]) {
+                const d = dist2(q, pts[i]);
+                if (d < bestD) { bestD = d; best = i; }
+              }
+            }
+          }
+          // Anything outside the searched rings is at least r cells away
+          if (best >= 0 && bestD <= (r * cell) * (r * cell)) break;
+        }
+        return best;
+      },
+      remove(i) {
+        const [cx, cy] = cellOf(pts[i].x, pts[i].y);
+        const list = cells[cy * cols + cx];
+        const at = list.indexOf(i);
+        if (at >= 0) list.splice(at, 1);
+      }
+    };
+  };
+  
+  // Rank of each point when ordered by angle around the shape's centroid
+  const angleOrder = (pts) => {
+    let cx = 0, cy = 0;
+    for (const p of pts) { cx += p.x; cy += p.y; }
+    cx /= pts.length;
+    cy /= pts.length;
+    const keyed = pts.map((p, i) => ({
+      i,
+      angle: Math.atan2(p.y - cy, p.x - cx),
+      radius: (p.x - cx) * (p.x - cx) + (p.y - cy) * (p.y - cy)
+    }));
+    keyed.sort((a, b) => a.angle - b.angle || a.radius - b.radius);
+    return keyed.map(k => k.i);
+  };
+  
+  // One-to-one pairing of every point in `small` with a distinct point in `large`.
+  // Returns partner[smallIndex] = largeIndex.
+  const pairIndex = (small) => small.map((_, i) => i);
+  
+  const pairAngle = (small, large) => {
+    const so = angleOrder(small);
+    const lo = angleOrder(large);
+    const partner = new Array(small.length);
+    for (let r = 0; r < so.length; r++) {
+      partner[so[r]] = lo[Math.floor(r * lo.length / so.length)];
+    }
+    return partner;
+  };
+  
+  const pairNearest = (small, large) => {
+    const grid = buildGrid(large);
+    return small.map(p => {
+      const j = grid.nearest(p);
+      grid.remove(j);
+      return j;
+    });
+  };
+  
+  const pairOptimal = (small, large) => {
+    const partner = pairNearest(small, large);
+    const owner = new Array(large.length).fill(-1);
+    partner.forEach((j, i) => { owner[j] = i; });
+    const grid = buildGrid(large);
+    
+    // Swap pairs while it shortens the total squared travel distance
+    for (let pass = 0; pass < 8; pass++) {
+      let improved = false;
+      for (let a = 0; a < small.length; a++) {
+        const b = partner[a];
+        const c = grid.nearest(small[a]);
+        if (c === b) continue;
+        const a2 = owner[c];
+        const before = dist2(small[a], large[b]) + (a2 >= 0 ? dist2(small[a2], large[c]) : 0);
+        const after = dist2(small[a], large[c]) + (a2 >= 0 ? dist2(small[a2], large[b]) : 0);
+        if (after < before - 1e-9) {
+          partner[a] = c;
+          owner[c] = a;
+          owner[b] = a2;
+          if (a2 >= 0) partner[a2] = b;
+          improved = true;
+        }
+      }
+      if (!improved) break;
+    }
+    return partner;
+  };
+  
+  const pairers = { index: pairIndex, angle: pairAngle, nearest: pairNearest, optimal: pairOptimal };
+  
+  // Pair source points with target points ({x, y, z} objects) for a morph.
+  // Returns one entry per particle needed during the morph: { from, to, extra }.
+  // When there are more sources than targets every source appears once and
+  // `extra` marks sources that merge into an already-claimed target; when there
+  // are more targets every target appears once and `extra` marks clones
+  // spawned at source `from`. With no sources at all every target is an
+  // extra with from = -1, to be spawned at the center; with no targets every
+  // source is an extra with to = -1, to merge into the center.
+  ParticleRenderer.matchPoints = function(from, to, mode = 'index') {
+    if (from.length === 0) return to.map((p, j) => ({ from: -1, to: j, extra: true }));
+    if (to.length === 0) return from.map((p, i) => ({ from: i, to: -1, extra: true }));
+    const pair = pairers[mode];
+    if (!pair) {
+      console.warn('ParticleRenderer: unknown correspondence mode', mode);
+      return ParticleRenderer.matchPoints(from, to, 'index');
+    }
+    
+    const sourcesLarger = from.length >= to.length;
+    const small = sourcesLarger ? to : from;
+    const large = sourcesLarger ? from : to;
+    const partner = pair(small, large);
+    
+    // Give each unpaired point of the larger set a (shared) partner
+    const claimed = new Array(large.length).fill(-1);
+    partner.forEach((j, i) => { claimed[j] = i; });
+    let extraPartner;
+    if (mode === 'index') {
+      extraPartner = () => Math.floor(Math.random() * small.length);
+    } else if (mode === 'angle') {
+      const so = angleOrder(small);
+      const rank = new Array(large.length);
+      angleOrder(large).forEach((j, r) => { rank[j] = r; });
+      extraPartner = j => so[Math.floor(rank[j] * small.length / large.length)];
+    } else {
+      const grid = buildGrid(small);
+      extraPartner = j => grid.nearest(large[j]);
+    }
+    
+    const matches = new Array(large.length);
+    for (let j = 0; j < large.length; j++) {
+      const extra = claimed[j] < 0;
+      const i = extra ? extraPartner(j) : claimed[j];
+      matches[j] = sourcesLarger
+        ? { from: j, to: i, extra }
+        : { from: i, to: j, extra };
+    }
+    return matches;
+  };
+})();
+
+// ============================================================================
+// Frame validation (shared with the editor)
+// ============================================================================
+// Checks a frames file ({ version, frames }, { frame } or a bare array of
+// frames) and reports every problem with the path to it, e.g.
+// 'frames[2].points[15].x'. Modes:
+//   strict  - anything wrong is an error and nothing is repaired
+//   lenient - fixable problems become warnings and are repaired: bad points
+//             and empty frames are dropped, colours clamped, a bad z or hold
+//             reset to its default
+// Structural problems (no frames at all, points not an array) are errors in
+// both modes. Returns { valid, errors, warnings, data } where each issue is
+// { path, message } and data holds the cleaned file (null if invalid).
+//
+// data always has the current 2.0 shape, so this also migrates 1.0 files:
+//   { version: '2.0', units, unitSize, render: {...}, frameCount, frames: [{
+//       name, pointCount, hold?, origin?, bounds, tags,
+//       points: [{ x, y, z, r, g, b, size?, a? }] }] }
+// 2.0 adds per-point size (radius multiplier) and a (alpha 0-1), per-frame
+// origin (the point placed at the canvas center; default: centroid), bounds
+// (recomputed) and tags, and file-level render settings (renderer options).
+// units is 'px' (editor pixels, the 1.0 meaning) or 'normalized' (relative
+// to each frame's origin, the whole animation within -1..1); unitSize is how
+// many pixels one unit was in the editor (1 for 'px').
+
+// Version written by the editor and produced by validateFrames()
+ParticleRenderer.FORMAT_VERSION = '2.0';
+
+(() => {
+  const KNOWN_VERSIONS = ['1.0', '2.0'];
+  const DEFAULT_COLOR = { r: 74, g: 222, b: 128 };
+  
+  // Renderer options a file may carry in "render", with their value type
+  const RENDER_SETTINGS = {
+    particleSize: 'number', scale: 'number', depthFog: 'boolean',
+    perspective: 'boolean', focalLength: 'number', autoRotate: 'boolean',
+    rotateSpeed: 'number', rotationRate: 'number', rotateX: 'number', rotateY: 'number', rotateZ: 'number',
+    morphDuration: 'number', easing: 'string', correspondence: 'string',
+    loopMode: 'string', holdTime: 'number', backgroundColor: 'string',
+    trail: 'number', blendMode: 'string', glow: 'number', glowStrength: 'number',
+    transitionStyle: 'string', explodeDistance: 'number', swirlAxis: 'string', swirlTurns: 'number',
+    intro: 'string', introDuration: 'number', outro: 'string', outroDuration: 'number',
+    morphPath: 'string', arcBend: 'number', spiralAxis: 'string', spiralTurns: 'number',
+    pathNoise: 'number', stagger: 'number', staggerBy: 'string',
+    shape: 'shape'
+  };
+  
+  const isObject = v => v !== null && typeof v === 'object' && !Array.isArray(v);
+  // Shapes saved in files are names or plain objects (not Path2D or elements)
+  const isShapeSetting = v => (typeof v === 'string' || isObject(v)) &&
+    !(isObject(v) && v.type === 'image' && typeof v.src !== 'string') && ParticleRenderer.isShape(v);
+  const isNumber = v => typeof v === 'number' && Number.isFinite(v);
+  const describe = v => v === undefined ? 'missing' : JSON.stringify(v);
+  
+  ParticleRenderer.validateFrames = function(data, options = {}) {
+    const strict = options.mode === 'strict';
+    const errors = [];
+    const warnings = [];
+    const error = (path, message) => errors.push({ path, message });
+    // A problem lenient mode can repair
+    const fixable = (path, message) => (strict ? errors : warnings).push({ path, message });
+    
+    // Locate the frame list and the path prefix used in messages
+    let list, prefix;
+    if (Array.isArray(data)) {
+      list = data;
+      prefix = '';
+    } else if (isObject(data) && Array.isArray(data.frames)) {
+      list = data.frames;
+      prefix = 'frames';
+    } else if (isObject(data) && isObject(data.frame)) {
+      list = [data.frame];
+      prefix = 'frame';
+    } else {
+      error('', isObject(data) && 'frames' in data
+        ? '"frames" must be an array'
+        : 'expected an object with "frames" (or "frame"), or an array of frames');
+      return { valid: false, errors, warnings, data: null };
+    }
+    const framePath = i => prefix === 'frame' ? 'frame' : `${prefix}[${i}]`;
+    
+    if (!Array.isArray(data)) {
+      if (data.version === undefined) {
+        fixable('version', 'missing version');
+      } else if (!KNOWN_VERSIONS.includes(String(data.version))) {
+        fixable('version', `unknown version ${describe(data.version)} (known: ${KNOWN_VERSIONS.join(', ')})`);
+      }
+      if (data.frameCount !== undefined && data.frameCount !== list.length) {
+        warnings.push({ path: 'frameCount', message: `says ${describe(data.frameCount)} but there are ${list.length} frames` });
+      }
+    }
+    
+    let units = 'px';
+    let unitSize = 1;
+    if (!Array.isArray(data)) {
+      if (data.units !== undefined) {
+        if (data.units === 'px' || data.units === 'normalized') {
+          units = data.units;
+        } else {
+          fixable('units', `units must be "px" or "normalized", got ${describe(data.units)}`);
+        }
+      }
+      if (units === 'normalized') {
+        if (isNumber(data.unitSize) && data.unitSize > 0) {
+          unitSize = data.unitSize;
+        } else {
+          // Only needed to reproduce the authored size with fit: 'none'
+          warnings.push({ path: 'unitSize', message: `normalized files should give unitSize > 0, got ${describe(data.unitSize)}; assuming 100` });
+          unitSize = 100;
+        }
+      }
+    }
+    
+    const render = {};
+    if (!Array.isArray(data) && data.render !== undefined) {
+      if (!isObject(data.render)) {
+        fixable('render', 'render settings must be an object');
+      } else {
+        for (const [key, value] of Object.entries(data.render)) {
+          const type = RENDER_SETTINGS[key];
+          if (!type) {
+            // Settings for a newer renderer are skipped, not a problem
+            warnings.push({ path: `render.${key}`, message: 'unknown render setting, ignored' });
+          } else if (type === 'shape' ? !isShapeSetting(value)
+                     : typeof value !== type || (type === 'number' && !Number.isFinite(value))) {
+            fixable(`render.${key}`, `must be a ${type}, got ${describe(value)}`);
+          } else {
+            render[key] = value;
+          }
+        }
+      }
+    }
+    if (list.length === 0) {
+      error(prefix, 'no frames');
+    }
+    
+    const frames = [];
+    list.forEach((frame, f) => {
+      const fp = framePath(f);
+      if (!isObject(frame)) {
+        error(fp, 'frame must be an object');
+        return;
+      }
+      if (!Array.isArray(frame.points)) {
+        error(`${fp}.points`, frame.points === undefined ? 'missing points' : 'points must be an array');
+        return;
+      }
+      
+      let name = frame.name;
+      if (name !== undefined && typeof name !== 'string') {
+        fixable(`${fp}.name`, `name must be a string, got ${describe(name)}`);
+        name = undefined;
+      }
+      let hold = frame.hold;
+      if (hold !== undefined && !(isNumber(hold) && hold >= 0)) {
+        fixable(`${fp}.hold`, `hold must be a number of milliseconds >= 0, got ${describe(hold)}`);
+        hold = undefined;
+      }
+      let origin = frame.origin;
+      if (origin !== undefined && !(isObject(origin) && isNumber(origin.x) && isNumber(origin.y) &&
+                                    (origin.z === undefined || isNumber(origin.z)))) {
+        fixable(`${fp}.origin`, `origin must be { x, y, z? } numbers, got ${describe(origin)}`);
+        origin = undefined;
+      }
+      let tags = frame.tags ?? [];
+      if (!Array.isArray(tags)) {
+        fixable(`${fp}.tags`, `tags must be an array of strings, got ${describe(tags)}`);
+        tags = [];
+      } else if (tags.some(t => typeof t !== 'string')) {
+        fixable(`${fp}.tags`, 'tags must be strings');
+        tags = tags.filter(t => typeof t === 'string');
+      }
+      if (frame.bounds !== undefined && !(isObject(frame.bounds) &&
+          ['minX', 'minY', 'minZ', 'maxX', 'maxY', 'maxZ'].every(k => isNumber(frame.bounds[k])))) {
+        // Bounds are recomputed anyway, so a bad value is only worth a warning
+        warnings.push({ path: `${fp}.bounds`, message: 'bounds must be { minX, minY, minZ, maxX, maxY, maxZ }; recomputed' });
+      }
+      if (frame.pointCount !== undefined && frame.pointCount !== frame.points.length) {
+        warnings.push({ path: `${fp}.pointCount`, message: `says ${describe(frame.pointCount)} but there are ${frame.points.length} points` });
+      }
+      
+      const points = [];
+      frame.points.forEach((p, i) => {
+        const pp = `${fp}.points[${i}]`;
+        if (!isObject(p)) {
+          fixable(pp, 'point must be an object');
+          return;
+        }
+        // Older exports used targetX/targetY/baseZ
+        const x = p.x ?? p.targetX;
+        const y = p.y ?? p.targetY;
+        let z = p.z ?? p.baseZ ?? 0;
+        let ok = true;
+        for (const [axis, value] of [['x', x], ['y', y]]) {
+          if (!isNumber(value)) {
+            fixable(`${pp}.${axis}`, value === undefined ? 'missing coordinate' : `coordinate must be a finite number, got ${describe(value)}`);
+            ok = false;
+          }
+        }
+        if (!ok) return;
+        if (!isNumber(z)) {
+          fixable(`${pp}.z`, `coordinate must be a finite number, got ${describe(z)}`);
+          z = 0;
+        }
+        
+        const point = { x, y, z };
+        for (const channel of ['r', 'g', 'b']) {
+          let value = p[channel];
+          if (value === undefined) {
+            value = DEFAULT_COLOR[channel];
+          } else if (!isNumber(value)) {
+            fixable(`${pp}.${channel}`, `colour must be a number 0-255, got ${describe(value)}`);
+            value = DEFAULT_COLOR[channel];
+          } else if (value < 0 || value > 255 || !Number.isInteger(value)) {
+            fixable(`${pp}.${channel}`, `colour ${value} is outside 0-255 integers`);
+            value = Math.min(255, Math.max(0, Math.round(value)));
+          }
+          point[channel] = value;
+        }
+        
+        if (p.size !== undefined) {
+          if (isNumber(p.size) && p.size >= 0) {
+            point.size = p.size;
+          } else {
+            fixable(`${pp}.size`, `size must be a number >= 0, got ${describe(p.size)}`);
+          }
+        }
+        if (p.a !== undefined) {
+          if (!isNumber(p.a)) {
+            fixable(`${pp}.a`, `alpha must be a number 0-1, got ${describe(p.a)}`);
+          } else if (p.a < 0 || p.a > 1) {
+            fixable(`${pp}.a`, `alpha ${p.a} is outside 0-1`);
+            point.a = Math.min(1, Math.max(0, p.a));
+          } else {
+            point.a = p.a;
+          }
+        }
+        points.push(point);
+      });
+      
+      if (points.length === 0) {
+        // An empty frame can't be centered or morphed to
+        fixable(`${fp}.points`, frame.points.length === 0 ? 'frame has no points' : 'frame has no valid points');
+        return;
+      }
+      const clean = { name: name ?? `Frame ${f + 1}`, pointCount: points.length };
+      if (hold !== undefined) clean.hold = hold;
+      if (origin !== undefined) clean.origin = { x: origin.x, y: origin.y, z: origin.z ?? 0 };
+      clean.bounds = ParticleRenderer.frameBounds(points);
+      clean.tags = tags;
+      clean.points = points;
+      frames.push(clean);
+    });
+    
+    if (list.length > 0 && frames.length === 0 && errors.length === 0) {
+      error(prefix, 'no usable frames');
+    }
+    
+    const valid = errors.length === 0;
+    return {
+      valid,
+      errors,
+      warnings,
+      data: valid ? { version: ParticleRenderer.FORMAT_VERSION, units, unitSize, render, frameCount: frames.length, frames } : null
+    };
+  };
+  
+  // Axis-aligned bounding box of a point list
+  ParticleRenderer.frameBounds = function(points) {
+    const bounds = { minX: Infinity, minY: Infinity, minZ: Infinity, maxX: -Infinity, maxY: -Infinity, maxZ: -Infinity };
+    for (const p of points) {
+      const z = p.z ?? 0;
+      if (p.x < bounds.minX) bounds.minX = p.x;
+      if (p.x > bounds.maxX) bounds.maxX = p.x;
+      if (p.y < bounds.minY) bounds.minY = p.y;
+      if (p.y > bounds.maxY) bounds.maxY = p.y;
+      if (z < bounds.minZ) bounds.minZ = z;
+      if (z > bounds.maxZ) bounds.maxZ = z;
+    }
+    return bounds;
+  };
+  
+  // One-line summary of validation issues for error messages
+  ParticleRenderer.formatIssues = function(issues, max = 5) {
+    const shown = issues.slice(0, max).map(i => i.path ? `${i.path}: ${i.message}` : i.message);
+    if (issues.length > max) shown.push(`(and ${issues.length - max} more)`);
+    return shown.join('; ');
+  };
+})();
+
+// ============================================================================
+// Binary frame format (shared with the editor)
+// ============================================================================
+// A compact alternative to the frames JSON. All numbers little-endian:
+//
+//   header   'PFRM' magic, u8 format version (2), u8 flags, u16 reserved,
+//            u32 frame count, u32 byte length + UTF-8 JSON
+//            { render, units, unitSize }
+//   frame    u16 name byte length + UTF-8 name, f32 hold in ms (NaN = unset),
+//            u32 point count, u8 frame flags (1 = sizes, 2 = alphas),
+//            u32 byte length + UTF-8 JSON { origin, tags },
+//            [quantised: f32 minX, minY, minZ, f32 stepX, stepY, stepZ]
+//            positions: x, y, z per point as f32, or as i16 when quantised
+//            colours:   r, g, b per point as u8
+//            [sizes:    f32 per point]
+//            [alphas:   u8 per point, 0-255 for 0-1]
+//
+// Version 1 files have neither the JSON blocks nor the frame flags.
+// Flag 1 (quantised) stores each axis as a 16-bit step within the frame's
+// bounding box. Round trip error per coordinate is at most half a step,
+// (max - min) / 131070, i.e. under 0.01px for a 1000px wide frame. Float32
+// keeps about 7 significant digits (under 0.0001px below 1000px). Colours
+// are exact for integer 0-255 values, alphas within 1/510.
+
+(() => {
+  const MAGIC = 0x4D524650;       // 'PFRM' read as little-endian u32
+  const VERSION = 2;
+  const QUANTISED = 1;
+  const HAS_SIZE = 1;
+  const HAS_ALPHA = 2;
+  
+  const encodeText = (text) => new TextEncoder().encode(text);
+  const decodeText = (bytes) => new TextDecoder().decode(bytes);
+  const toByte = (v, fallback) => Math.min(255, Math.max(0, Math.round(v ?? fallback)));
+  const asBytes = (buffer) => ArrayBuffer.isView(buffer)
+    ? new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.byteLength)
+    : new Uint8Array(buffer);
+  
+  // Encode frames as a binary ArrayBuffer. data is a frames JSON object
+  // ({ frames: [...] } or { frame }) or an array of frames.
+  // options.precision: 'float32' (default) or 'int16' (quantised)
+  ParticleRenderer.encodeFrames = function(data, options = {}) {
+    const frames = Array.isArray(data) ? data : (data.frames ?? (data.frame ? [data.frame] : []));
+    const quantised = options.precision === 'int16';
+    const meta = {};
+    if (!Array.isArray(data)) {
+      for (const key of ['render', 'units', 'unitSize']) {
+        if (data[key] !== undefined) meta[key] = data[key];
+      }
+    }
+    const fileMeta = encodeText(JSON.stringify(meta));
+    
+    const encoded = frames.map(frame => {
+      const points = frame.points;
+      const name = encodeText(frame.name ?? '').subarray(0, 0xFFFF);
+      const meta = {};
+      if (frame.origin) meta.origin = frame.origin;
+      if (frame.tags && frame.tags.length > 0) meta.tags = frame.tags;
+      const metaBytes = encodeText(JSON.stringify(meta));
+      const flags = (points.some(p => p.size !== undefined) ? HAS_SIZE : 0) |
+                    (points.some(p => p.a !== undefined) ? HAS_ALPHA : 0);
+      const coordSize = quantised ? 2 : 4;
+      const size = 2 + name.length + 4 + 4 + 1 + 4 + metaBytes.length + (quantised ? 24 : 0) +
+        points.length * (3 * coordSize + 3 + (flags & HAS_SIZE ? 4 : 0) + (flags & HAS_ALPHA ? 1 : 0));
+      return { frame, points, name, metaBytes, flags, size };
+    });
+    
+    const total = encoded.reduce((sum, f) => sum + f.size, 16 + fileMeta.length);
+    const buffer = new ArrayBuffer(total);
+    const view = new DataView(buffer);
+    const bytes = new Uint8Array(buffer);
+    
+    view.setUint32(0, MAGIC, true);
+    view.setUint8(4, VERSION);
+    view.setUint8(5, quantised ? QUANTISED : 0);
+    view.setUint16(6, 0, true);
+    view.setUint32(8, frames.length, true);
+    view.setUint32(12, fileMeta.length, true);
+    bytes.set(fileMeta, 16);
+    let offset = 16 + fileMeta.length;
+    
+    for (const { frame, points, name, metaBytes, flags } of encoded) {
+      view.setUint16(offset, name.length, true);
+      bytes.set(name, offset + 2);
+      offset += 2 + name.length;
+      view.setFloat32(offset, Number.isFinite(frame.hold) ? frame.hold : NaN, true);
+      view.setUint32(offset + 4, points.length, true);
+      view.setUint8(offset + 8, flags);
+      view.setUint32(offset + 9, metaBytes.length, true);
+      bytes.set(metaBytes, offset + 13);
+      offset += 13 + metaBytes.length;
+      
+      const coords = points.map(p => [p.x, p.y, p.z ?? 0]);
+      if (quantised) {
+        // Per-axis bounding box split into 65535 steps
+        const min = [Infinity, Infinity, Infinity];
+        const max = [-Infinity, -Infinity, -Infinity];
+        for (const c of coords) {
+          for (let a = 0; a < 3; a++) {
+            if (c[a] < min[a]) min[a] = c[a];
+            if (c[a] > max[a]) max[a] = c[a];
+          }
+        }
+        const step = min.map((lo, a) => points.length > 0 && max[a] > lo ? (max[a] - lo) / 65535 : 1);
+        for (let a = 0; a < 3; a++) {
+          view.setFloat32(offset + a * 4, points.length > 0 ? min[a] : 0, true);
+          view.setFloat32(offset + 12 + a * 4, step[a], true);
+        }
+        // Quantise against the stored float32 values so decoding reproduces them
+        const lo = min.map((_, a) => view.getFloat32(offset + a * 4, true));
+        const st = step.map((_, a) => view.getFloat32(offset + 12 + a * 4, true));
+        offset += 24;
+        for (const c of coords) {
+          for (let a = 0; a < 3; a++) {
+            const q = Math.min(65535, Math.max(0, Math.round((c[a] - lo[a]) / st[a])));
+            view.setInt16(offset, q - 32768, true);
+            offset += 2;
+          }
+        }
+      } else {
+        for (const c of coords) {
+          view.setFloat32(offset, c[0], true);
+          view.setFloat32(offset + 4, c[1], true);
+          view.setFloat32(offset + 8, c[2], true);
+          offset += 12;
+        }
+      }
+      
+      for (const p of points) {
+        bytes[offset] = toByte(p.r, 74);
+        bytes[offset + 1] = toByte(p.g, 222);
+        bytes[offset + 2] = toByte(p.b, 128);
+        offset += 3;
+      }
+      if (flags & HAS_SIZE) {
+        for (const p of points) {
+          view.setFloat32(offset, p.size ?? 1, true);
+          offset += 4;
+        }
+      }
+      if (flags & HAS_ALPHA) {
+        for (const p of points) {
+          bytes[offset++] = toByte((p.a ?? 1) * 255, 255);
+        }
+      }
+    }
+    return buffer;
+  };
+  
+  // True if buffer (ArrayBuffer or typed array) starts with the binary magic
+  ParticleRenderer.isBinaryFrames = function(buffer) {
+    const bytes = asBytes(buffer);
+    if (bytes.length < 4) return false;
+    return new DataView(bytes.buffer, bytes.byteOffset, 4).getUint32(0, true) === MAGIC;
+  };
+  
+  // Decode a binary buffer into the frames JSON shape ({ version, render, frameCount, frames })
+  ParticleRenderer.decodeFrames = function(buffer) {
+    const bytes = asBytes(buffer);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    
+    if (!ParticleRenderer.isBinaryFrames(bytes)) {
+      throw new Error('Not a binary particle frames file');
+    }
+    let offset = 0;
+    const need = (n) => {
+      if (offset + n > bytes.length) {
+        throw new Error('Binary frames file is truncated');
+      }
+    };
+    const readJSON = () => {
+      need(4);
+      const length = view.getUint32(offset, true);
+      need(4 + length);
+      const json = JSON.parse(decodeText(bytes.subarray(offset + 4, offset + 4 + length)));
+      offset += 4 + length;
+      return json;
+    };
+    
+    need(12);
+    const version = view.getUint8(4);
+    if (version < 1 || version > VERSION) {
+      throw new Error(`Unsupported binary frames version ${version}`);
+    }
+    const quantised = (view.getUint8(5) & QUANTISED) !== 0;
+    const frameCount = view.getUint32(8, true);
+    offset = 12;
+    const fileMeta = version >= 2 ? readJSON() : {};
+    
+    const frames = [];
+    for (let f = 0; f < frameCount; f++) {
+      need(2);
+      const nameLength = view.getUint16(offset, true);
+      need(2 + nameLength + 8);
+      const name = decodeText(bytes.subarray(offset + 2, offset + 2 + nameLength));
+      offset += 2 + nameLength;
+      const hold = view.getFloat32(offset, true);
+      const count = view.getUint32(offset + 4, true);
+      offset += 8;
+      
+      let flags = 0, meta = {};
+      if (version >= 2) {
+        need(1);
+        flags = view.getUint8(offset);
+        offset += 1;
+        meta = readJSON();
+      }
+      
+      let lo, st;
+      if (quantised) {
+        need(24);
+        lo = [0, 1, 2].map(a => view.getFloat32(offset + a * 4, true));
+        st = [0, 1, 2].map(a => view.getFloat32(offset + 12 + a * 4, true));
+        offset += 24;
+      }
+      need(count * (3 * (quantised ? 2 : 4) + 3 + (flags & HAS_SIZE ? 4 : 0) + (flags & HAS_ALPHA ? 1 : 0)));
+      
+      const points = new Array(count);
+      for (let i = 0; i < count; i++) {
+        let x, y, z;
+        if (quantised) {
+          x = lo[0] + (view.getInt16(offset, true) + 32768) * st[0];
+          y = lo[1] + (view.getInt16(offset + 2, true) + 32768) * st[1];
+          z = lo[2] + (view.getInt16(offset + 4, true) + 32768) * st[2];
+          offset += 6;
+        } else {
+          x = view.getFloat32(offset, true);
+          y = view.getFloat32(offset + 4, true);
+          z = view.getFloat32(offset + 8, true);
+          offset += 12;
+        }
+        points[i] = { x, y, z, r: 0, g: 0, b: 0 };
+      }
+      for (let i = 0; i < count; i++) {
+        const p = points[i];
+        p.r = bytes[offset];
+        p.g = bytes[offset + 1];
+        p.b = bytes[offset + 2];
+        offset += 3;
+      }
+      if (flags & HAS_SIZE) {
+        for (let i = 0; i < count; i++) {
+          points[i].size = view.getFloat32(offset, true);
+          offset += 4;
+        }
+      }
+      if (flags & HAS_ALPHA) {
+        for (let i = 0; i < count; i++) {
+          points[i].a = bytes[offset++] / 255;
+        }
+      }
+      
+      const frame = { name, pointCount: count };
+      if (!Number.isNaN(hold)) frame.hold = hold;
+      if (meta.origin) frame.origin = meta.origin;
+      frame.tags = meta.tags ?? [];
+      frame.points = points;
+      frames.push(frame);
+    }
+    
+    return { version: version >= 2 ? '2.0' : '1.0', ...fileMeta, frameCount, frames };
+  };
+})();
+
 // Export for module usage
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = ParticleRenderer;
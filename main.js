@@ -21,14 +21,39 @@
         const canvas = document.getElementById('canvas');
         const ctx = canvas.getContext('2d');
         
+        // Drawing happens in CSS pixels; the backing store is scaled by the
+        // device pixel ratio so particles stay sharp on high-DPI screens
+        const maxPixelRatio = 2;             // Cap for performance on very dense screens
+        let viewWidth = window.innerWidth;   // Canvas size in CSS pixels
+        let viewHeight = window.innerHeight;
+        let pixelRatio = 1;                  // Backing-store pixels per CSS pixel
+        let qualityPixelRatio = 1;           // Share of it kept by adaptive quality (see SECTION 14)
+        
         // Resize canvas to fill the browser window
         function resize() {
-            canvas.width = window.innerWidth;
-            canvas.height = window.innerHeight;
+            viewWidth = window.innerWidth;
+            viewHeight = window.innerHeight;
+            pixelRatio = Math.min(window.devicePixelRatio || 1, maxPixelRatio) * qualityPixelRatio;
+            canvas.width = Math.round(viewWidth * pixelRatio);
+            canvas.height = Math.round(viewHeight * pixelRatio);
+            // Resizing resets the context, so restore the scale afterwards
+            ctx.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
         }
         resize();
         window.addEventListener('resize', resize);
         
+        // Moving the window to a screen with a different pixel ratio doesn't
+        // always fire 'resize'; a resolution media query catches it
+        function watchPixelRatio() {
+            if (typeof window.matchMedia !== 'function') return;
+            const query = window.matchMedia(`(resolution: ${window.devicePixelRatio || 1}dppx)`);
+            query.addEventListener('change', () => {
+                resize();
+                watchPixelRatio();
+            }, { once: true });
+        }
+        watchPixelRatio();
+        
         
         // ============================================================================
         // SECTION 2: GLOBAL CONFIGURATION VARIABLES
@@ -37,23 +62,26 @@
         // --- Rotation Center (Camera Position) ---
         // These define the fixed center point around which all 3D rotation occurs.
         // Updated automatically when window resizes.
-        let rotationCenterX = canvas.width / 2;
-        let rotationCenterY = canvas.height / 2;
+        let rotationCenterX = viewWidth / 2;
+        let rotationCenterY = viewHeight / 2;
         let rotationCenterZ = 0;
         
         // Update rotation center when window resizes
         function updateRotationCenter() {
-            rotationCenterX = canvas.width / 2;
-            rotationCenterY = canvas.height / 2;
+            rotationCenterX = viewWidth / 2;
+            rotationCenterY = viewHeight / 2;
             rotationCenterZ = 0;
         }
         updateRotationCenter();
         window.addEventListener('resize', updateRotationCenter);
         
         // --- Animation State ---
-        let animTime = 0;                    // Frame counter for time-based animation
+        let animTime = 0;                    // Elapsed animation time in seconds
         let animationEnabled = true;         // True = continuous rotation, False = static/manual
         let lastTime = 0;                    // Timestamp of last frame for FPS calculation
+        let deltaTime = 0;                   // Milliseconds since last frame (clamped)
+        let frameScale = 1;                  // deltaTime relative to a 60Hz frame
+        const maxDeltaTime = 100;            // Clamp so a backgrounded tab doesn't jump ahead
         let fps = 0;                         // Current frames per second
         
         // --- Rotation Control ---
@@ -65,12 +93,21 @@
         let hoverRotateEnabled = false;      // Mouse position controls rotation when true
         let lastMouseX = 0;                  // Last mouse X position
         let lastMouseY = 0;                  // Last mouse Y position
-        let lastHoverMaxCache = 45;          // Cached max rotation degrees for hover mode
         let lastHoverUpdateTime = 0;         // Timestamp for throttling hover updates
         let hoverUpdateThrottle = 16;        // Milliseconds between hover UI updates (~60fps)
         
         // --- Particle System ---
-        const particles = [];                // Main array holding all Particle objects
+        // Particles are stored as typed arrays (see SECTION 4), with the
+        // editor's own fields on top of ParticleRenderer.PARTICLE_FIELDS
+        const editorParticleFields = [
+            'vx', 'vy', 'layer',
+            'displaySize', 'displayR', 'displayG', 'displayB', 'displayOpacity', 'morphFade'
+        ];
+        let particles = ParticleRenderer.createParticleBuffer(editorParticleFields);
+        let spareParticles = ParticleRenderer.createParticleBuffer(editorParticleFields); // Refilled by the next morph
+        const PARTICLE_ANCHORED = 4;         // Flag bit (beside PARTICLE_FLAGS): stays at its target
+        const rotationMatrix = new Float64Array(9); // This frame's rotation (see updateParticles)
+        const depthSorter = ParticleRenderer.createDepthSorter(); // Orders particles.order back to front
         let svgPoints = [];                  // Extracted points from loaded SVG/image
         
         // --- Multi-Frame Morph System ---
@@ -78,13 +115,63 @@
         let currentFrameIndex = 0;           // Index of currently displayed frame
         let isMorphing = false;              // True while morph animation is in progress
         let morphProgress = 0;               // Progress of current morph (0.0 to 1.0)
-        let morphSpeed = 0.02;               // Speed of morph animation per frame
+        let morphDuration = 800;             // Duration of morph animation (ms)
+        let morphEasing = 'easeInOutCubic';  // Easing name (see ParticleRenderer.easings)
+        let morphCorrespondence = 'index';   // Point matching mode (see ParticleRenderer.matchPoints)
+        let transitionPolicy = 'ignore';     // Morph requests while morphing: 'ignore', 'queue' or 'interrupt'
+        let morphQueue = [];                 // Pending morphs for the 'queue' policy: {index, transition}
+        
+        // --- Frame Sequencer (Autoplay) ---
+        let sequencePlaying = false;         // True while frames advance automatically
+        let sequenceLoopMode = 'loop';       // 'loop', 'pingpong' or 'once'
+        let sequenceDirection = 1;           // Current direction for ping-pong playback
+        let sequenceHoldElapsed = 0;         // Time spent on the current frame (ms)
+        let defaultHoldTime = 2000;          // Hold time given to newly added frames (ms)
+        let activeMorphDuration = 800;       // Duration of the morph in progress (ms)
+        let activeMorphDelay = 0;            // Remaining delay before the morph in progress moves (ms)
+        let activeMorphEase = ParticleRenderer.easings.easeInOutCubic; // Easing of the morph in progress
+        let transitionStyle = 'morph';       // See ParticleRenderer.TRANSITION_STYLES
+        let morphPath = 'straight';          // See ParticleRenderer.MORPH_PATHS
+        let morphStagger = 0;                // Share of a morph spent starting particles in turn
+        let staggerBy = 'distance';          // Stagger order (see ParticleRenderer.assignStagger)
+        let activeTransitionStyle = 'morph'; // Style of the morph in progress
+        let activeTransitionParams = {};     // transitionStep params of the morph in progress
+        const transitionOut = { x: 0, y: 0, z: 0, mix: 0, fade: 1 };
+        
+        // --- Intro/Outro Preview ---
+        let introEnabled = false;            // Export intro: 'gather' (from the canvas edges)
+        let outroEnabled = false;            // Export outro: 'gather' (scatter to the edges)
+        let gatherState = null;              // Running preview: {amount, direction, duration}
+        let gatherAmount = 0;                // Eased share of the way to the edges this frame
         
         // --- Image/SVG Input State ---
         let currentInputType = 'svg';        // Current input type: 'svg' or 'image'
         let currentImageFile = null;         // Stored image data URL for reprocessing
         let imageScale = 1;                  // Scale factor for rendered particles
         
+        // --- Particle Shape ---
+        let particleShape = 'circle';        // Shape name or shape object (see ParticleRenderer.isShape)
+        let shapeImageSrc = null;            // Data URL of the loaded sprite image
+        let drawParticleShape = ParticleRenderer.createShapeDrawer('circle'); // Draws one particle
+        const batchDrawer = ParticleRenderer.createBatchDrawer(); // Draw mode 'batch' (see drawParticles)
+        const pixelDrawer = ParticleRenderer.createPixelDrawer(); // Draw mode 'pixels'
+        
+        // --- Pointer Force Field ---
+        let forceMode = 'none';              // 'none', 'repel' or 'attract'
+        let forceRadius = 100;               // Reach of the pointer (px)
+        let forceStrength = 1;               // Push/pull strength
+        let forceStiffness = 0.06;           // Spring pull back home per 1/60 s
+        let shockwaveEnabled = false;        // Click/tap launches a shockwave
+        const forceField = ParticleRenderer.createForceField();
+        
+        // --- Glow & Trails ---
+        let glowSize = 0;                    // Halo radius in particle radii (0 = off)
+        let glowStrength = 0.6;              // Halo opacity relative to the particle
+        let blendMode = 'normal';            // See ParticleRenderer.blendModes
+        let trailLength = 0.9;               // Share of the last frame kept after 1/60 s
+        let backgroundColor = '#000000';     // Canvas background ('transparent' for none)
+        const drawParticleGlow = ParticleRenderer.createGlowDrawer();
+        
         // --- Wireframe Mode ---
         let wireframeConnections = [];       // Array of [index1, index2] pairs for wireframe lines
         
@@ -95,16 +182,122 @@
         let longTaskCount = 0;               // Count of detected long tasks
         const perfBufferSize = 120;          // Number of frames to track (~2 seconds at 60fps)
         const jankThreshold = 33;            // Frame time above this (ms) counts as jank
+        let adaptiveQuality = false;         // Lower quality while frames overrun (see SECTION 14)
+        const qualityController = ParticleRenderer.createQualityController(); // Picks the quality level
+        let quality = ParticleRenderer.QUALITY_LEVELS[0]; // Settings of the level in use
+        
+        // --- Control Panel Settings ---
+        // Observable store of the control panel values, keyed by the id of the
+        // control each one is bound to (see bindSettingControls). The control
+        // panel writes to it; the simulation reads from it.
+        // Returns: {get, set, reset, subscribe, diff, serialize, load}
+        function createSettingsStore(defaults) {
+            const initial = Object.freeze({ ...defaults });
+            let state = initial;
+            const listeners = new Set();
+            
+            // Keys whose values differ between two settings objects
+            const changedKeys = (a, b) => Object.keys(initial).filter(key => a[key] !== b[key]);
+            
+            return {
+                // Current values (a frozen plain object), or one value by key
+                get(key) {
+                    return key === undefined ? state : state[key];
+                },
+                
+                // Merge in new values, ignoring unknown keys and values of the
+                // wrong type; listeners hear about the keys that changed
+                set(values) {
+                    const next = { ...state };
+                    for (const key in values) {
+                        if (key in initial && typeof values[key] === typeof initial[key]) {
+                            next[key] = values[key];
+                        }
+                    }
+                    const changes = changedKeys(state, next);
+                    if (changes.length === 0) return changes;
+                    
+                    const previous = state;
+                    state = Object.freeze(next);
+                    listeners.forEach(listener => listener(state, changes, previous));
+                    return changes;
+                },
+                
+                reset() {
+                    return this.set(initial);
+                },
+                
+                // Call listener(state, changedKeys, previousState) after each
+                // change, optionally only when one of the given keys changed.
+                // Returns: a function that removes the listener
+                subscribe(listener, keys) {
+                    const wrapped = keys
+                        ? (next, changes, previous) => {
+                            if (changes.some(key => keys.includes(key))) listener(next, changes, previous);
+                        }
+                        : listener;
+                    listeners.add(wrapped);
+                    return () => listeners.delete(wrapped);
+                },
+                
+                // Values that differ from another settings object (the
+                // defaults when omitted), e.g. to save only what was changed
+                diff(other = initial) {
+                    const result = {};
+                    changedKeys(other, state).forEach(key => { result[key] = state[key]; });
+                    return result;
+                },
+                
+                serialize() {
+                    return JSON.stringify(state);
+                },
+                
+                // Apply values from serialize() or diff() output
+                load(json) {
+                    return this.set(typeof json === 'string' ? JSON.parse(json) : json);
+                }
+            };
+        }
         
-        // --- Draw Cache (Reduce DOM Lookups) ---
-        let drawCache = {
-            wireframeEnabled: false          // Cached wireframe toggle state
-        };
-        let lastDrawCacheUpdate = 0;         // Timestamp of last cache update
+        const settings = createSettingsStore({
+            size: 2,                         // Base particle size (px)
+            speed: 1,                        // Rotation and drift speed multiplier
+            layer: 1,                        // Layer given to new particles
+            reduction: 0.1,                  // Size lost per layer (px)
+            hoverMax: 45,                    // Rotation at the canvas edge in hover mode (degrees)
+            rotX: 0,                         // Rotation (rate animated, degrees static)
+            rotY: 30,
+            rotZ: 0,
+            depthScale: 2,                   // Size change with depth
+            wireframe: false,                // Draw lines between nearby particles
+            depthFog: true,                  // Fade particles further back
+            depthSort: 'auto',               // Depth ordering (ParticleRenderer.DEPTH_SORTS)
+            drawMode: 'auto',                // How particles are painted (ParticleRenderer.DRAW_MODES)
+            perspective: false,              // Perspective instead of orthographic projection
+            useColorPalette: false,          // Map colours to the palette below
+            colorPalette: 'cga',             // Key of colorPalettes
+            // Transition style and path parameters, named like the renderer options
+            ...ParticleRenderer.TRANSITION_DEFAULTS
+        });
+        
+        // --- Per-Frame Settings ---
+        // Plain values derived from the store by readDrawSettings() whenever a
+        // setting changes, so particles never touch the DOM or the store
+        const drawSettings = {};
         
-        // --- Mouse Drag State ---
-        let isDragging = false;              // Mouse button is held down
-        let dragMoved = false;               // Mouse moved while dragging
+        // --- Pointer Drag State ---
+        let isDragging = false;              // Mouse button / finger is held down
+        let dragMoved = false;               // Pointer moved while dragging
+        
+        // --- Touch Gesture State ---
+        const activePointers = new Map();    // pointerId -> {x, y, startX, startY} for pressed pointers
+        let longPressTimer = null;           // Pending long-press morph (touch alternative to right-click)
+        let pinchDistance = 0;               // Finger distance at the previous pinch update
+        let twoFingerStart = 0;              // Timestamp when a second finger touched down
+        let twoFingerMoved = false;          // Fingers moved during the two-finger gesture
+        const longPressDelay = 500;          // Hold this long (ms) without moving to morph
+        const twoFingerTapTime = 300;        // Two-finger tap must end within this (ms)
+        const tapMoveTolerance = 10;         // Movement (px) still counted as a tap/press
         
         
         // ============================================================================
@@ -160,251 +353,279 @@
         }
         
         // ============================================================================
-        // SECTION 4: PARTICLE CLASS
+        // SECTION 4: PARTICLE STORAGE
         // ============================================================================
-        // The Particle class represents a single point in 3D space that can be
-        // rendered on the 2D canvas. Particles support:
+        // Particles live in a struct-of-arrays buffer (see SECTION 2 and
+        // ParticleRenderer.createParticleBuffer): particle i is index i in every
+        // field array. Particles support:
         // - 3D position with rotation transforms
         // - Color from source image or palette mapping
         // - Smooth morphing between positions (for frame transitions)
         // - Depth-based sizing and opacity (fog effect)
+        // Fields used here besides the shared ones:
+        //   r, g, b            - source color (from image/SVG), morphed between frames
+        //   x, y, z            - position after rotation, before force/gather offsets
+        //   vx, vy             - drift velocity of free-floating particles
+        //   layer              - depth layer for size reduction (1 = front)
+        //   size, alpha        - size and opacity factors from frame points, on top
+        //                        of the layer's; morphed between frames
+        //   display*           - size, color and opacity as drawn, eased towards
+        //                        their targets each frame
+        //   morphFade          - opacity multiplier of a styled morph (dissolve)
         // ============================================================================
         
-        class Particle {
-            // Constructor Parameters:
-            //   x, y     - Initial screen position (random if not provided)
-            //   layer    - Depth layer for size reduction (1 = front)
-            //   targetX, targetY - Anchor position for SVG/image particles
-            //   baseZ    - Initial Z depth for 3D rotation
-            constructor(x, y, layer, targetX, targetY, baseZ) {
-                // --- Position ---
-                this.x = x || Math.random() * canvas.width;   // Current screen X
-                this.y = y || Math.random() * canvas.height;  // Current screen Y
-                
-                // --- Velocity (for free-floating particles) ---
-                this.vx = (Math.random() - 0.5) * 2;          // X velocity
-                this.vy = (Math.random() - 0.5) * 2;          // Y velocity
-                
-                // --- Layer and Depth ---
-                this.layer = layer || 1;                      // Rendering layer (affects size)
-                
-                // --- Base Position (before rotation transform) ---
-                // These are the "home" coordinates that rotation is applied to
-                this.targetX = targetX;
-                this.targetY = targetY;
-                this.baseX = targetX || this.x;               // Base X before rotation
-                this.baseY = targetY || this.y;               // Base Y before rotation
-                this.baseZ = baseZ || 0;                      // Base Z depth
-                this.currentZ = this.baseZ;                   // Z after rotation (for sorting)
-                
-                // --- Anchor State ---
-                // Anchored particles stay at their target position, free particles can drift
-                this.hasTarget = targetX !== undefined && targetY !== undefined;
-                
-                // --- Source Color (from image/SVG) ---
-                this.sourceR = 74;   // Default green color
-                this.sourceG = 222;
-                this.sourceB = 128;
-                
-                // --- Display Values (smoothed for animation) ---
-                // These are interpolated toward target values each frame
-                this.displaySize = 1;
-                this.displayR = 74;
-                this.displayG = 222;
-                this.displayB = 128;
-                this.displayOpacity = 1;
-                
-                // --- Morph Animation State ---
-                // Used when transitioning between frames
-                this.morphTargetX = this.baseX;               // Target X for morph
-                this.morphTargetY = this.baseY;               // Target Y for morph
-                this.morphTargetZ = this.baseZ;               // Target Z for morph
-                this.morphTargetR = this.sourceR;             // Target R for morph
-                this.morphTargetG = this.sourceG;             // Target G for morph
-                this.morphTargetB = this.sourceB;             // Target B for morph
-                this.morphStartX = this.baseX;                // Start X for morph
-                this.morphStartY = this.baseY;                // Start Y for morph
-                this.morphStartZ = this.baseZ;                // Start Z for morph
-                this.morphStartR = this.sourceR;              // Start R for morph
-                this.morphStartG = this.sourceG;              // Start G for morph
-                this.morphStartB = this.sourceB;              // Start B for morph
-                
-                // --- Removal Flag ---
-                // Set to true when this particle should be removed after morph completes
-                // (used when target frame has fewer particles than current)
-                this.markedForRemoval = false;
-            }
-            
-            // Update position and color during morph animation
-            // Parameter: progress - value from 0.0 (start) to 1.0 (end)
-            updateMorph(progress) {
-                // Cubic ease-in-out function for smooth acceleration/deceleration
-                const ease = t => t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
-                const t = ease(progress);
-                
-                // Interpolate position from start to target
-                this.baseX = this.morphStartX + (this.morphTargetX - this.morphStartX) * t;
-                this.baseY = this.morphStartY + (this.morphTargetY - this.morphStartY) * t;
-                this.baseZ = this.morphStartZ + (this.morphTargetZ - this.morphStartZ) * t;
+        // Add a particle and return its index
+        // Parameters:
+        //   x, y     - Initial screen position (random if not provided)
+        //   layer    - Depth layer for size reduction (1 = front)
+        //   targetX, targetY - Anchor position for SVG/image particles; anchored
+        //              particles stay put, free particles drift
+        //   baseZ    - Initial Z depth for 3D rotation
+        function addParticle(x, y, layer, targetX, targetY, baseZ) {
+            const P = particles;
+            const i = P.add();
+            P.x[i] = x || Math.random() * viewWidth;
+            P.y[i] = y || Math.random() * viewHeight;
+            P.vx[i] = (Math.random() - 0.5) * 2;
+            P.vy[i] = (Math.random() - 0.5) * 2;
+            P.layer[i] = layer || 1;
+            if (targetX !== undefined && targetY !== undefined) P.flags[i] = PARTICLE_ANCHORED;
+            
+            // Base position (before rotation transform): the "home" coordinates
+            // that rotation is applied to
+            P.baseX[i] = P.morphStartX[i] = P.morphTargetX[i] = targetX || P.x[i];
+            P.baseY[i] = P.morphStartY[i] = P.morphTargetY[i] = targetY || P.y[i];
+            P.baseZ[i] = P.morphStartZ[i] = P.morphTargetZ[i] = P.z[i] = baseZ || 0;
+            
+            // Default green until a color is sampled
+            P.r[i] = P.morphStartR[i] = P.morphTargetR[i] = P.displayR[i] = 74;
+            P.g[i] = P.morphStartG[i] = P.morphTargetG[i] = P.displayG[i] = 222;
+            P.b[i] = P.morphStartB[i] = P.morphTargetB[i] = P.displayB[i] = 128;
+            P.size[i] = P.morphStartSize[i] = P.morphTargetSize[i] = 1;
+            P.alpha[i] = P.morphStartAlpha[i] = P.morphTargetAlpha[i] = 1;
+            P.displaySize[i] = 1;
+            P.displayOpacity[i] = 1;
+            P.morphFade[i] = 1;
+            P.morphSeed[i] = Math.random();
+            P.screenX[i] = P.x[i];
+            P.screenY[i] = P.y[i];
+            return i;
+        }
+        
+        // Set particle i of buffer P to morph from where it is to a frame point
+        // Parameter: point - object with {targetX, targetY, baseZ, r, g, b, size, a}
+        function setMorphTarget(P, i, point) {
+            // Store current values as morph start point
+            P.morphStartX[i] = P.baseX[i];
+            P.morphStartY[i] = P.baseY[i];
+            P.morphStartZ[i] = P.baseZ[i];
+            P.morphStartR[i] = P.r[i];
+            P.morphStartG[i] = P.g[i];
+            P.morphStartB[i] = P.b[i];
+            P.morphStartSize[i] = P.size[i];
+            P.morphStartAlpha[i] = P.alpha[i];
+            
+            // Set morph destination
+            P.morphTargetX[i] = point.targetX;
+            P.morphTargetY[i] = point.targetY;
+            P.morphTargetZ[i] = point.baseZ || 0;
+            P.morphTargetR[i] = point.r !== undefined ? point.r : 74;
+            P.morphTargetG[i] = point.g !== undefined ? point.g : 222;
+            P.morphTargetB[i] = point.b !== undefined ? point.b : 128;
+            P.morphTargetSize[i] = point.size ?? 1;
+            P.morphTargetAlpha[i] = point.a ?? 1;
+        }
+        
+        // Update positions and colors during morph animation
+        // Parameter: t - eased progress, 0.0 (start) to 1.0 (end); may
+        //            overshoot that range for back/elastic easings
+        function updateMorph(t) {
+            const P = particles;
+            const styled = activeTransitionStyle !== 'morph' || activeTransitionParams.path !== 'straight' ||
+                activeTransitionParams.stagger > 0;
+            const center = { x: rotationCenterX, y: rotationCenterY, z: rotationCenterZ };
+            
+            for (let i = 0; i < P.length; i++) {
+                let mix = t;
+                if (styled) {
+                    // Other styles, curved paths and staggering
+                    const out = ParticleRenderer.transitionStep(transitionOut, activeTransitionStyle, P, i, t, center, activeTransitionParams);
+                    P.baseX[i] = out.x;
+                    P.baseY[i] = out.y;
+                    P.baseZ[i] = out.z;
+                    mix = out.mix;
+                    P.morphFade[i] = out.fade;
+                } else {
+                    // Interpolate position from start to target
+                    P.baseX[i] = P.morphStartX[i] + (P.morphTargetX[i] - P.morphStartX[i]) * t;
+                    P.baseY[i] = P.morphStartY[i] + (P.morphTargetY[i] - P.morphStartY[i]) * t;
+                    P.baseZ[i] = P.morphStartZ[i] + (P.morphTargetZ[i] - P.morphStartZ[i]) * t;
+                    P.morphFade[i] = 1;
+                }
                 
                 // Interpolate color from start to target
-                this.sourceR = Math.round(this.morphStartR + (this.morphTargetR - this.morphStartR) * t);
-                this.sourceG = Math.round(this.morphStartG + (this.morphTargetG - this.morphStartG) * t);
-                this.sourceB = Math.round(this.morphStartB + (this.morphTargetB - this.morphStartB) * t);
-            }
-            
-            // Set the target position/color for morph animation
-            // Parameter: point - object with {targetX, targetY, baseZ, r, g, b}
-            setMorphTarget(point) {
-                // Store current values as morph start point
-                this.morphStartX = this.baseX;
-                this.morphStartY = this.baseY;
-                this.morphStartZ = this.baseZ;
-                this.morphStartR = this.sourceR;
-                this.morphStartG = this.sourceG;
-                this.morphStartB = this.sourceB;
-                
-                // Set morph destination
-                this.morphTargetX = point.targetX;
-                this.morphTargetY = point.targetY;
-                this.morphTargetZ = point.baseZ || 0;
-                this.morphTargetR = point.r !== undefined ? point.r : 74;
-                this.morphTargetG = point.g !== undefined ? point.g : 222;
-                this.morphTargetB = point.b !== undefined ? point.b : 128;
-            }
-            
-            // Update particle position based on rotation settings
-            // Called every frame before drawing
-            update() {
-                // Read control values from UI
-                const speed = parseFloat(document.getElementById('speed').value);
-                const rotX = parseFloat(document.getElementById('rotX').value) * Math.PI / 180;
-                const rotY = parseFloat(document.getElementById('rotY').value) * Math.PI / 180;
-                const rotZ = parseFloat(document.getElementById('rotZ').value) * Math.PI / 180;
-                
-                // CASE 1: No rotation applied
-                // Particles stay at their base position or drift if free-floating
-                if (rotX === 0 && rotY === 0 && rotZ === 0) {
-                    if (this.hasTarget) {
+                P.r[i] = Math.round(P.morphStartR[i] + (P.morphTargetR[i] - P.morphStartR[i]) * mix);
+                P.g[i] = Math.round(P.morphStartG[i] + (P.morphTargetG[i] - P.morphStartG[i]) * mix);
+                P.b[i] = Math.round(P.morphStartB[i] + (P.morphTargetB[i] - P.morphStartB[i]) * mix);
+                P.size[i] = P.morphStartSize[i] + (P.morphTargetSize[i] - P.morphStartSize[i]) * mix;
+                P.alpha[i] = P.morphStartAlpha[i] + (P.morphTargetAlpha[i] - P.morphStartAlpha[i]) * mix;
+            }
+        }
+        
+        // Update particle positions based on rotation settings
+        // Called every frame before drawing
+        function updateParticles() {
+            const { speed, rotX, rotY, rotZ } = drawSettings;
+            const P = particles;
+            const n = P.length;
+            
+            // CASE 1: No rotation applied
+            // Particles stay at their base position or drift if free-floating
+            if (rotX === 0 && rotY === 0 && rotZ === 0) {
+                for (let i = 0; i < n; i++) {
+                    if (P.flags[i] & PARTICLE_ANCHORED) {
                         // Anchored particles stay fixed at their target position
-                        this.x = this.baseX;
-                        this.y = this.baseY;
-                        this.currentZ = this.baseZ;
+                        P.x[i] = P.baseX[i];
+                        P.y[i] = P.baseY[i];
                     } else {
                         // Free-floating particles drift with velocity
-                        this.x += this.vx * speed;
-                        this.y += this.vy * speed;
+                        P.x[i] += P.vx[i] * speed * frameScale;
+                        P.y[i] += P.vy[i] * speed * frameScale;
                         // Bounce off canvas edges
-                        if (this.x < 0 || this.x > canvas.width) this.vx *= -1;
-                        if (this.y < 0 || this.y > canvas.height) this.vy *= -1;
-                        this.currentZ = this.baseZ;
+                        if (P.x[i] < 0 || P.x[i] > viewWidth) P.vx[i] *= -1;
+                        if (P.y[i] < 0 || P.y[i] > viewHeight) P.vy[i] *= -1;
                     }
-                    return;
+                    P.z[i] = P.baseZ[i];
                 }
-                
-                // CASE 2: 3D rotation is active
-                // Apply rotation transforms around the fixed camera center
-                const centerX = rotationCenterX;
-                const centerY = rotationCenterY;
-
-                // Get position relative to rotation center
-                let x = this.baseX - centerX;
-                let y = this.baseY - centerY;
-                let z = this.baseZ;
-                
-                // Calculate rotation angles based on animation mode
-                let angleX, angleY, angleZ;
-                if (animationEnabled) {
-                    // Animated mode: rotation accumulates over time
-                    const t = animTime * speed * 0.01;
-                    angleX = rotX * t;
-                    angleY = rotY * t;
-                    angleZ = rotZ * t;
-                } else {
-                    // Static mode: use fixed rotation angles from sliders
-                    angleX = staticRotX;
-                    angleY = staticRotY;
-                    angleZ = staticRotZ;
-                }
-                
-                // Apply rotation around X axis (pitch - tilts up/down)
-                if (angleX !== 0) {
-                    const y1 = y * Math.cos(angleX) - z * Math.sin(angleX);
-                    const z1 = y * Math.sin(angleX) + z * Math.cos(angleX);
-                    y = y1; z = z1;
-                }
-                
-                // Apply rotation around Y axis (yaw - spins left/right)
-                if (angleY !== 0) {
-                    const x1 = x * Math.cos(angleY) + z * Math.sin(angleY);
-                    const z1 = -x * Math.sin(angleY) + z * Math.cos(angleY);
-                    x = x1; z = z1;
-                }
-                
-                // Apply rotation around Z axis (roll - rotates in place)
-                if (angleZ !== 0) {
-                    const x1 = x * Math.cos(angleZ) - y * Math.sin(angleZ);
-                    const y1 = x * Math.sin(angleZ) + y * Math.cos(angleZ);
-                    x = x1; y = y1;
+                return;
+            }
+            
+            // CASE 2: 3D rotation is active
+            // Calculate rotation angles based on animation mode
+            let angleX, angleY, angleZ;
+            if (animationEnabled) {
+                // Animated mode: rotation accumulates over time
+                // (slider values times speed * ROTATION_RATE are degrees per second,
+                // as for a renderer without rotationRate)
+                const t = animTime * speed * ParticleRenderer.ROTATION_RATE;
+                angleX = rotX * t;
+                angleY = rotY * t;
+                angleZ = rotZ * t;
+            } else {
+                // Static mode: use fixed rotation angles from sliders
+                angleX = staticRotX;
+                angleY = staticRotY;
+                angleZ = staticRotZ;
+            }
+            
+            // Rotate around X (pitch), then Y (yaw), then Z (roll) with one
+            // matrix per frame, around the fixed camera center. Projection back
+            // to the screen is orthographic (no perspective distortion).
+            const m = ParticleRenderer.rotationMatrix(rotationMatrix, angleX, angleY, angleZ);
+            const centerX = rotationCenterX;
+            const centerY = rotationCenterY;
+            for (let i = 0; i < n; i++) {
+                const x = P.baseX[i] - centerX;
+                const y = P.baseY[i] - centerY;
+                const z = P.baseZ[i];
+                P.x[i] = m[0] * x + m[1] * y + m[2] * z + centerX;
+                P.y[i] = m[3] * x + m[4] * y + m[5] * z + centerY;
+                P.z[i] = m[6] * x + m[7] * y + m[8] * z;
+            }
+        }
+        
+        // Size (relative to the base size) and opacity given by a depth
+        // layer; the particle's own size and alpha factors come on top
+        // Parameters: baseSize, reduction - the size settings, read once by the caller
+        function layerAppearance(layer, baseSize, reduction) {
+            return {
+                size: Math.max(0.5, baseSize - (layer - 1) * reduction) / baseSize,
+                a: Math.max(0.2, 1 - (layer - 1) * 0.04)
+            };
+        }
+        
+        // Draw the particles back to front (in particles.order)
+        // Parameters: maxZ - maximum Z depth in scene, used for fog/sizing calculations
+        //             smooth - share of the way display values move towards their targets
+        function drawParticles(maxZ, smooth) {
+            const { baseSize, reduction, depthScale, usePerspective, palette } = drawSettings;
+            const P = particles;
+            
+            // Adaptive quality may draw only a share of the particles, without fog or glow
+            const share = quality.particles;
+            const useDepthFog = drawSettings.useDepthFog && quality.effects;
+            
+            // One by one, or collected by the batch or pixel drawer and painted at the end
+            const drawMode = ParticleRenderer.chooseDrawMode(drawSettings.drawMode, {
+                shape: particleShape,
+                count: Math.round(P.length * share),
+                radius: baseSize,
+                pixelRatio: pixelRatio
+            });
+            const drawer = drawMode === 'batch' ? batchDrawer : drawMode === 'pixels' ? pixelDrawer : null;
+            const drawShape = drawer ? drawer.draw : drawParticleShape;
+            if (drawMode === 'pixels') pixelDrawer.begin(ctx, pixelRatio);
+            
+            for (let k = 0; k < P.length; k++) {
+                const i = P.order[k];
+                if (share < 1 && ParticleRenderer.subsampleRank(i) >= share) continue;
+                
+                // Position including any displacement by the pointer force field
+                let x = P.x[i] + P.forceX[i];
+                let y = P.y[i] + P.forceY[i];
+                let z = P.z[i] + P.forceZ[i];
+                
+                // Intro/outro preview: pulled towards a point outside the canvas edge
+                if (gatherAmount > 0) {
+                    if (Number.isNaN(P.gatherX[i])) {
+                        const edge = ParticleRenderer.edgePoint(viewWidth, viewHeight);
+                        P.gatherX[i] = edge.x;
+                        P.gatherY[i] = edge.y;
+                    }
+                    x += (P.gatherX[i] - x) * gatherAmount;
+                    y += (P.gatherY[i] - y) * gatherAmount;
+                    z -= z * gatherAmount;
                 }
                 
-                // Store current Z for depth sorting and size calculation
-                this.currentZ = z;
-                
-                // Project 3D position back to 2D screen coordinates
-                // Using simple orthographic projection (no perspective distortion)
-                this.x = x + centerX;
-                this.y = y + centerY;
-            }
-            
-            // Draw the particle on the canvas
-            // Parameter: maxZ - maximum Z depth in scene, used for fog/sizing calculations
-            draw(maxZ) {
-                // Read rendering settings from UI
-                const baseSize = parseFloat(document.getElementById('size').value);
-                const reduction = parseFloat(document.getElementById('reduction').value);
-                const depthScale = parseFloat(document.getElementById('depthScale').value);
-                const usePerspective = document.getElementById('perspective').checked;
-                const useDepthFog = document.getElementById('depthFog').checked;
-                
                 // Calculate draw position (may differ from actual position with perspective)
-                let drawX = this.x;
-                let drawY = this.y;
+                let drawX = x;
+                let drawY = y;
                 let perspectiveScale = 1;
                 
                 // Apply perspective projection if enabled
                 // Objects further away appear smaller and closer to center
                 if (usePerspective && maxZ > 0) {
                     const focalLength = 800;  // Distance from camera to screen
-                    const distance = focalLength - this.currentZ;
+                    const distance = focalLength - z;
                     perspectiveScale = focalLength / distance;
                     
                     // Scale position from center based on perspective
                     const centerX = rotationCenterX;
                     const centerY = rotationCenterY;
-                    drawX = centerX + (this.x - centerX) * perspectiveScale;
-                    drawY = centerY + (this.y - centerY) * perspectiveScale;
+                    drawX = centerX + (x - centerX) * perspectiveScale;
+                    drawY = centerY + (y - centerY) * perspectiveScale;
                 }
                 
                 // Calculate target size based on layer (higher layer = smaller)
-                let targetSize = Math.max(0.5, baseSize - (this.layer - 1) * reduction);
+                const layer = P.layer[i];
+                let targetSize = Math.max(0.5, baseSize - (layer - 1) * reduction);
 
                 // Apply depth-based size scaling
                 // Objects further away (higher Z) appear larger after rotation
                 if (maxZ > 0) {
-                    const normalizedZ = this.currentZ / maxZ;
+                    const normalizedZ = z / maxZ;
                     const depthFactor = 1 + normalizedZ * depthScale * 0.3;
                     targetSize = Math.max(0.3, targetSize * depthFactor * perspectiveScale);
                 }
 
                 // Calculate target opacity based on depth (layer and fog effects)
-                let targetOpacity = Math.max(0.2, 1 - (this.layer - 1) * 0.04);
+                let targetOpacity = Math.max(0.2, 1 - (layer - 1) * 0.04);
                 
                 // Apply depth fog if enabled
                 // Objects further back fade out, creating depth illusion
                 if (maxZ > 0 && useDepthFog) {
                     // Normalize Z to 0-1 range for smooth gradient
-                    const normalizedZ = (this.currentZ + maxZ) / (2 * maxZ);
+                    const normalizedZ = (z + maxZ) / (2 * maxZ);
                     // Quadratic easing for smoother falloff
                     const easeZ = normalizedZ * normalizedZ;
                     // Map to opacity: front = more opaque, back = more transparent
@@ -412,53 +633,44 @@
                 }
 
                 // Determine target color (palette mapping or source color)
-                let targetR, targetG, targetB;
-                const useColorPalette = document.getElementById('useColorPalette').checked;
-                
-                if (useColorPalette) {
+                let targetR = P.r[i], targetG = P.g[i], targetB = P.b[i];
+                if (palette) {
                     // Map source color to nearest palette color
-                    const paletteName = document.getElementById('colorPalette').value;
-                    const paletteColors = colorPalettes[paletteName];
-                    const mappedColor = getNearestPaletteColor(this.sourceR, this.sourceG, this.sourceB, paletteColors);
+                    const mappedColor = getNearestPaletteColor(targetR, targetG, targetB, palette);
                     targetR = mappedColor.r;
                     targetG = mappedColor.g;
                     targetB = mappedColor.b;
-                } else {
-                    // Use original source color
-                    targetR = this.sourceR;
-                    targetG = this.sourceG;
-                    targetB = this.sourceB;
                 }
 
-                // Smooth interpolation of display values
-                // Prevents jarring changes when settings or depth changes rapidly
-                const speedVal = parseFloat(document.getElementById('speed').value);
-                let smooth = 0.06 + (depthScale / 10) + (useDepthFog ? 0.08 : 0) + (speedVal / 50);
-                smooth = Math.max(0.02, Math.min(0.6, smooth));  // Clamp smoothing factor
-                
                 // Apply exponential smoothing to all display properties
-                this.displaySize += (targetSize - this.displaySize) * smooth;
-                this.displayOpacity += (targetOpacity - this.displayOpacity) * smooth;
-                this.displayR += (targetR - this.displayR) * smooth;
-                this.displayG += (targetG - this.displayG) * smooth;
-                this.displayB += (targetB - this.displayB) * smooth;
+                // Prevents jarring changes when settings or depth changes rapidly
+                P.displaySize[i] += (targetSize - P.displaySize[i]) * smooth;
+                P.displayOpacity[i] += (targetOpacity - P.displayOpacity[i]) * smooth;
+                P.displayR[i] += (targetR - P.displayR[i]) * smooth;
+                P.displayG[i] += (targetG - P.displayG[i]) * smooth;
+                P.displayB[i] += (targetB - P.displayB[i]) * smooth;
 
                 // Round color values for valid CSS
-                const r = Math.round(this.displayR);
-                const g = Math.round(this.displayG);
-                const b = Math.round(this.displayB);
-                const opacity = this.displayOpacity;
+                const r = Math.round(P.displayR[i]);
+                const g = Math.round(P.displayG[i]);
+                const b = Math.round(P.displayB[i]);
+                // The particle's own (morphed) size and alpha factors apply unsmoothed
+                const size = P.displaySize[i] * P.size[i];
+                const opacity = P.displayOpacity[i] * P.morphFade[i] * P.alpha[i];
 
-                // Draw the particle as a filled circle
-                ctx.fillStyle = `rgba(${r}, ${g}, ${b}, ${opacity})`;
-                ctx.beginPath();
-                ctx.arc(drawX, drawY, this.displaySize, 0, Math.PI * 2);
-                ctx.fill();
+                // Draw the glow halo, then the particle in the selected shape
+                if (glowSize > 0 && quality.effects) {
+                    drawParticleGlow(ctx, drawX, drawY, size * glowSize, r, g, b, opacity * glowStrength);
+                }
+                drawShape(ctx, drawX, drawY, size, r, g, b, opacity);
                 
                 // Store screen position for wireframe connections
-                this.screenX = drawX;
-                this.screenY = drawY;
+                P.screenX[i] = drawX;
+                P.screenY[i] = drawY;
             }
+            
+            if (drawMode === 'batch') batchDrawer.flush(ctx, particleShape);
+            if (drawMode === 'pixels') pixelDrawer.end(ctx);
         }
         
         // ============================================================================
@@ -471,6 +683,27 @@
         // - Export/import frames for use across different projects
         // ============================================================================
         
+        // The particles' current positions and looks as frame points
+        function currentPoints() {
+            const { size: baseSize, reduction } = settings.get();
+            const points = [];
+            for (let i = 0; i < particles.length; i++) {
+                // As saved in frames; depth effects are left to whoever renders the frame
+                const look = layerAppearance(particles.layer[i], baseSize, reduction);
+                points.push({
+                    targetX: particles.baseX[i],
+                    targetY: particles.baseY[i],
+                    baseZ: particles.baseZ[i],
+                    r: particles.r[i],
+                    g: particles.g[i],
+                    b: particles.b[i],
+                    size: look.size * particles.size[i],
+                    a: look.a * particles.alpha[i]
+                });
+            }
+            return points;
+        }
+        
         // Save the current particle state as a new frame
         function addCurrentAsFrame() {
             if (particles.length === 0) {
@@ -479,20 +712,16 @@
             }
             
             // Store particle data as a frame
-            const frameData = particles.map(p => ({
-                targetX: p.baseX,
-                targetY: p.baseY,
-                baseZ: p.baseZ,
-                r: p.sourceR,
-                g: p.sourceG,
-                b: p.sourceB
-            }));
+            const frameData = currentPoints();
             
             const frameName = `Frame ${frames.length + 1}`;
             frames.push({
                 name: frameName,
                 points: frameData,
-                pointCount: frameData.length
+                pointCount: frameData.length,
+                hold: defaultHoldTime,
+                origin: { x: rotationCenterX, y: rotationCenterY, z: rotationCenterZ },
+                tags: []
             });
             
             currentFrameIndex = frames.length - 1;
@@ -517,14 +746,70 @@
                     <span style="font-size: 10px; ${idx === currentFrameIndex ? 'color: #4ade80;' : 'color: #888;'}">
                         ${idx === currentFrameIndex ? '▶ ' : ''}${frame.name} (${frame.pointCount} pts)
                     </span>
+                    <input type="text" value="${frame.tags.join(', ').replace(/"/g, '&quot;')}" placeholder="tags" title="Tags (comma separated)" onchange="setFrameTags(${idx}, this.value)" style="width: 52px; margin-left: auto; margin-right: 4px; padding: 1px 2px; font-size: 9px; background: #1a1a1a; color: #fff; border: 1px solid #444; border-radius: 3px;">
+                    <input type="number" value="${frame.hold}" min="0" step="100" title="Hold time (ms)" onchange="setFrameHold(${idx}, this.value)" style="width: 52px; margin-right: 4px; padding: 1px 2px; font-size: 9px; background: #1a1a1a; color: #fff; border: 1px solid #444; border-radius: 3px;">
                     <button onclick="removeFrame(${idx})" style="padding: 2px 6px; font-size: 9px; background: #4a2020; border: none; color: #f87171; cursor: pointer; border-radius: 3px;">✕</button>
                 </div>
             `).join('');
         }
         
+        // Set how long the sequencer stays on a frame before advancing
+        function setFrameHold(index, value) {
+            const hold = Math.max(0, parseFloat(value) || 0);
+            frames[index].hold = hold;
+            console.log(`${frames[index].name} hold: ${hold}ms`);
+        }
+        
+        // Set a frame's tags from comma separated text
+        function setFrameTags(index, value) {
+            frames[index].tags = value.split(',').map(t => t.trim()).filter(t => t.length > 0);
+            console.log(`${frames[index].name} tags: ${frames[index].tags.join(', ') || '(none)'}`);
+        }
+        
+        // Start or pause automatic playback through the frames
+        function toggleSequencePlayback() {
+            if (!sequencePlaying && frames.length < 2) {
+                console.log('Need at least 2 frames to play');
+                return;
+            }
+            sequencePlaying = !sequencePlaying;
+            sequenceHoldElapsed = 0;
+            // A finished play-once sequence starts over
+            if (sequencePlaying && sequenceLoopMode === 'once' && currentFrameIndex === frames.length - 1) {
+                morphToFrame(0);
+            }
+            updateSequenceButton();
+            console.log('Sequence:', sequencePlaying ? 'playing' : 'paused');
+        }
+        
+        // Reflect the sequencer state on the play/pause button
+        function updateSequenceButton() {
+            document.getElementById('sequencePlay').textContent = sequencePlaying ? '❚❚ Pause' : '▶ Play';
+        }
+        
+        // Advance the sequence once the current frame's hold time has elapsed
+        // Called every frame from the main loop while not morphing
+        function updateSequence() {
+            if (frames.length < 2) return;
+            sequenceHoldElapsed += deltaTime;
+            const hold = frames[currentFrameIndex]?.hold ?? defaultHoldTime;
+            if (sequenceHoldElapsed < hold) return;
+            
+            const step = ParticleRenderer.sequenceStep(currentFrameIndex, frames.length, sequenceLoopMode, sequenceDirection);
+            if (!step) {
+                sequencePlaying = false;
+                updateSequenceButton();
+                console.log('Sequence ended');
+                return;
+            }
+            sequenceDirection = step.direction;
+            morphToFrame(step.index);
+        }
+        
         // Remove a frame
         function removeFrame(index) {
             frames.splice(index, 1);
+            morphQueue = [];
             if (currentFrameIndex >= frames.length) {
                 currentFrameIndex = Math.max(0, frames.length - 1);
             }
@@ -535,6 +820,9 @@
         // Clear all frames
         function clearAllFrames() {
             frames = [];
+            morphQueue = [];
+            sequencePlaying = false;
+            updateSequenceButton();
             currentFrameIndex = 0;
             updateFrameList();
             console.log('Cleared all frames');
@@ -547,7 +835,7 @@
                 return;
             }
             
-            const nextIndex = (currentFrameIndex + 1) % frames.length;
+            const nextIndex = (getPendingFrameIndex() + 1) % frames.length;
             morphToFrame(nextIndex);
         }
         
@@ -558,61 +846,117 @@
                 return;
             }
             
-            const prevIndex = (currentFrameIndex - 1 + frames.length) % frames.length;
+            const prevIndex = (getPendingFrameIndex() - 1 + frames.length) % frames.length;
             morphToFrame(prevIndex);
         }
         
+        // Frame the editor will end up on once queued morphs have run
+        function getPendingFrameIndex() {
+            return morphQueue.length > 0 ? morphQueue[morphQueue.length - 1].index : currentFrameIndex;
+        }
+        
         // Morph to specific frame
-        function morphToFrame(targetIndex) {
-            if (isMorphing) return;
-            if (targetIndex === currentFrameIndex) return;
+        // Parameter: transition - optional { duration, easing, delay, style, path, stagger, staggerBy, ... }
+        // overriding the UI settings (see ParticleRenderer.transitionStep)
+        // While a morph is running the request follows transitionPolicy
+        function morphToFrame(targetIndex, transition = {}) {
             if (targetIndex < 0 || targetIndex >= frames.length) return;
             
+            if (isMorphing) {
+                if (transitionPolicy === 'queue') {
+                    if (targetIndex !== getPendingFrameIndex()) {
+                        morphQueue.push({ index: targetIndex, transition });
+                        console.log('Queued morph to ' + frames[targetIndex].name);
+                    }
+                    return;
+                }
+                // 'interrupt' retargets from the current interpolated positions
+                if (transitionPolicy !== 'interrupt') return;
+            }
+            // (After clearing, the current frame isn't on screen and can be morphed to)
+            if (targetIndex === currentFrameIndex && particles.length > 0) return;
+            
             const targetFrame = frames[targetIndex];
             const targetPoints = targetFrame.points;
-            const existingCount = particles.length;
-            const targetCount = targetPoints.length;
+            if (particles.length === 0 && targetPoints.length === 0) return;
             
-            // Clear removal flags on all existing particles
-            for (let i = 0; i < particles.length; i++) {
-                particles[i].markedForRemoval = false;
-            }
-            
-            // Add particles if target has more points than current
-            // New particles spawn at positions of existing particles for smooth appearance
-            while (particles.length < targetCount) {
-                const sourceParticle = particles[Math.floor(Math.random() * existingCount)];
-                const p = new Particle(
-                    sourceParticle.baseX,
-                    sourceParticle.baseY,
-                    1,
-                    sourceParticle.baseX,
-                    sourceParticle.baseY,
-                    sourceParticle.baseZ
-                );
-                p.sourceR = sourceParticle.sourceR;
-                p.sourceG = sourceParticle.sourceG;
-                p.sourceB = sourceParticle.sourceB;
-                particles.push(p);
-            }
-            
-            // Set morph targets for all particles
+            // Decide which particle travels to which target point
+            const sources = [];
             for (let i = 0; i < particles.length; i++) {
-                if (i < targetCount) {
-                    // Particle has a target position in the new frame
-                    particles[i].setMorphTarget(targetPoints[i]);
-                    particles[i].markedForRemoval = false;
+                sources.push({ x: particles.baseX[i], y: particles.baseY[i], z: particles.baseZ[i] });
+            }
+            const targets = targetPoints.map(p => ({ x: p.targetX, y: p.targetY, z: p.baseZ || 0 }));
+            const matches = ParticleRenderer.matchPoints(sources, targets, morphCorrespondence);
+            const cloning = targetPoints.length > particles.length;
+            
+            // Fill the spare buffer and swap it in, so morphs allocate no particles
+            const morphed = spareParticles;
+            morphed.resize(0);
+            morphed.resize(matches.length);
+            // Morphing from or to nothing: particles grow out of, or merge into, the rotation center
+            const center = { targetX: rotationCenterX, targetY: rotationCenterY, baseZ: rotationCenterZ };
+            const { size: baseSize, reduction } = settings.get();
+            for (let i = 0; i < matches.length; i++) {
+                const { from, to, extra } = matches[i];
+                if (from < 0) {
+                    // No particles yet: a new anchored particle at the center, in the
+                    // target's color and size, fading in
+                    const point = targetPoints[to];
+                    morphed.x[i] = morphed.baseX[i] = rotationCenterX;
+                    morphed.y[i] = morphed.baseY[i] = rotationCenterY;
+                    morphed.baseZ[i] = rotationCenterZ;
+                    morphed.r[i] = point.r !== undefined ? point.r : 74;
+                    morphed.g[i] = point.g !== undefined ? point.g : 222;
+                    morphed.b[i] = point.b !== undefined ? point.b : 128;
+                    morphed.layer[i] = 1;
+                    morphed.size[i] = point.size ?? 1;
+                    morphed.morphFade[i] = 1;
+                    morphed.flags[i] = PARTICLE_ANCHORED;
                 } else {
-                    // Excess particle: morph to merge with a random target, then remove
-                    const mergeTarget = targetPoints[Math.floor(Math.random() * targetCount)];
-                    particles[i].setMorphTarget(mergeTarget);
-                    particles[i].markedForRemoval = true;
+                    // Target has more points: extra particles spawn as copies of their source
+                    morphed.copy(from, i, particles);
+                    // Frame points carry the whole look in size and a: fold the layer's
+                    // into the particle's own factors so it morphs smoothly
+                    const look = layerAppearance(morphed.layer[i], baseSize, reduction);
+                    morphed.size[i] *= look.size;
+                    morphed.alpha[i] *= look.a;
+                    morphed.layer[i] = 1;
                 }
+                setMorphTarget(morphed, i, to >= 0 ? targetPoints[to]
+                    : { ...center, r: morphed.r[i], g: morphed.g[i], b: morphed.b[i], size: morphed.size[i], a: 0 });
+                morphed.morphSeed[i] = Math.random();
+                // Excess particle: merges with its target, then is removed
+                const remove = extra && !cloning ? ParticleRenderer.PARTICLE_FLAGS.remove : 0;
+                morphed.flags[i] = (morphed.flags[i] & PARTICLE_ANCHORED) | remove;
             }
+            spareParticles = particles;
+            particles = morphed;
+            updateCount();
             
             // Start morph animation
             isMorphing = true;
             morphProgress = 0;
+            sequenceHoldElapsed = 0;
+            activeMorphDuration = transition.duration ?? morphDuration;
+            activeMorphDelay = transition.delay ?? 0;
+            activeMorphEase = ParticleRenderer.resolveEasing(transition.easing ?? morphEasing);
+            activeTransitionStyle = transition.style ?? transitionStyle;
+            const values = settings.get();
+            activeTransitionParams = {
+                distance: transition.distance ?? values.explodeDistance,
+                axis: transition.axis ?? values.swirlAxis,
+                turns: transition.turns ?? values.swirlTurns,
+                path: transition.path ?? morphPath,
+                bend: transition.bend ?? values.arcBend,
+                spiralAxis: transition.spiralAxis ?? values.spiralAxis,
+                spiralTurns: transition.spiralTurns ?? values.spiralTurns,
+                noise: transition.noise ?? values.pathNoise,
+                stagger: transition.stagger ?? morphStagger
+            };
+            if (activeTransitionParams.stagger > 0) {
+                ParticleRenderer.assignStagger(particles, transition.staggerBy ?? staggerBy,
+                    { x: rotationCenterX, y: rotationCenterY, z: rotationCenterZ });
+            }
             currentFrameIndex = targetIndex;
             updateFrameList();
             
@@ -627,22 +971,24 @@
             }
             
             // Create frame data from current particles
+            const points = currentPoints().map(exportPoint);
             const frameData = {
-                version: '1.0',
+                version: ParticleRenderer.FORMAT_VERSION,
                 exportDate: new Date().toISOString(),
+                units: 'px',
+                render: getRenderSettings(),
                 frame: {
                     name: 'Exported Frame',
-                    pointCount: particles.length,
-                    points: particles.map(p => ({
-                        x: p.baseX,
-                        y: p.baseY,
-                        z: p.baseZ,
-                        r: p.sourceR,
-                        g: p.sourceG,
-                        b: p.sourceB
-                    }))
+                    pointCount: points.length,
+                    origin: { x: rotationCenterX, y: rotationCenterY, z: rotationCenterZ },
+                    bounds: ParticleRenderer.frameBounds(points),
+                    tags: [],
+                    points
                 }
             };
+            if (document.getElementById('normalizeExport').checked) {
+                normalizeExportData(frameData);
+            }
             
             downloadJSON(frameData, 'particle-frame.json');
             console.log('Exported current frame with ' + particles.length + ' points');
@@ -655,32 +1001,206 @@
                 return;
             }
             
+            downloadJSON(buildFramesExport(), 'particle-frames.json');
+            console.log('Exported ' + frames.length + ' frames');
+        }
+        
+        // Export all frames in the compact binary format (see docs/particle-renderer.js).
+        // The file is decoded again and checked against the JSON values first.
+        function exportAllFramesBinary() {
+            if (frames.length === 0) {
+                alert('No frames to export. Add frames first using "Add Current as Frame".');
+                return;
+            }
+            
+            const exportData = buildFramesExport();
+            const precision = document.getElementById('binaryPrecision').value;
+            const buffer = ParticleRenderer.encodeFrames(exportData, { precision });
+            
+            let maxError;
+            try {
+                maxError = checkBinaryRoundTrip(exportData, ParticleRenderer.decodeFrames(buffer), precision);
+            } catch (err) {
+                console.error('Binary export check failed:', err);
+                alert('Binary export failed: ' + err.message);
+                return;
+            }
+            
+            downloadBlob(new Blob([buffer], { type: 'application/octet-stream' }), 'particle-frames.pfb');
+            console.log('Exported ' + frames.length + ' frames as ' + precision + ' binary (' +
+                (buffer.byteLength / 1024).toFixed(1) + ' KB, max position error ' + maxError.toPrecision(2) + 'px)');
+        }
+        
+        // Compare decoded binary frames with the exported JSON. Returns the largest
+        // position error, or throws if anything is outside the format's precision:
+        // half a quantisation step for int16, float32 rounding otherwise.
+        function checkBinaryRoundTrip(original, decoded, precision) {
+            let maxError = 0;
+            original.frames.forEach((frame, f) => {
+                const copy = decoded.frames[f];
+                if (!copy || copy.points.length !== frame.points.length) {
+                    throw new Error('frame ' + f + ' lost points');
+                }
+                
+                const axes = ['x', 'y', 'z'];
+                const tolerance = axes.map(a => {
+                    const values = frame.points.map(p => p[a]);
+                    const lo = Math.min(...values);
+                    const hi = Math.max(...values);
+                    const magnitude = Math.max(Math.abs(lo), Math.abs(hi));
+                    // Allow float32 rounding of the stored bounds and step on top
+                    const float32 = magnitude * Math.pow(2, -22);
+                    return precision === 'int16' ? (hi - lo) / 131070 + float32 * 2 : float32;
+                });
+                
+                frame.points.forEach((p, i) => {
+                    const q = copy.points[i];
+                    axes.forEach((a, k) => {
+                        const error = Math.abs(p[a] - q[a]);
+                        if (!(error <= tolerance[k])) {
+                            throw new Error('frame ' + f + ' point ' + i + ' ' + a + ' is off by ' + error);
+                        }
+                        maxError = Math.max(maxError, error);
+                    });
+                    if (p.r !== q.r || p.g !== q.g || p.b !== q.b) {
+                        throw new Error('frame ' + f + ' point ' + i + ' changed colour');
+                    }
+                    if (Math.abs((p.size ?? 1) - (q.size ?? 1)) > Math.abs(p.size ?? 1) * Math.pow(2, -22) ||
+                        Math.abs((p.a ?? 1) - (q.a ?? 1)) > 1 / 510 + 1e-9) {
+                        throw new Error('frame ' + f + ' point ' + i + ' changed size or alpha');
+                    }
+                });
+            });
+            return maxError;
+        }
+        
+        // Build the export object for all frames (JSON and binary export)
+        function buildFramesExport() {
             const exportData = {
-                version: '1.0',
+                version: ParticleRenderer.FORMAT_VERSION,
                 exportDate: new Date().toISOString(),
+                units: 'px',
+                render: getRenderSettings(),
                 frameCount: frames.length,
-                frames: frames.map(frame => ({
-                    name: frame.name,
-                    pointCount: frame.pointCount,
-                    points: frame.points.map(p => ({
-                        x: p.targetX,
-                        y: p.targetY,
-                        z: p.baseZ || 0,
-                        r: p.r !== undefined ? p.r : 74,
-                        g: p.g !== undefined ? p.g : 222,
-                        b: p.b !== undefined ? p.b : 128
-                    }))
-                }))
+                frames: frames.map(frame => {
+                    const points = frame.points.map(exportPoint);
+                    const data = {
+                        name: frame.name,
+                        pointCount: frame.pointCount,
+                        hold: frame.hold ?? defaultHoldTime
+                    };
+                    if (frame.origin) data.origin = frame.origin;
+                    data.bounds = ParticleRenderer.frameBounds(points);
+                    data.tags = frame.tags ?? [];
+                    data.points = points;
+                    return data;
+                })
             };
+            if (document.getElementById('normalizeExport').checked) {
+                normalizeExportData(exportData);
+            }
+            return exportData;
+        }
+        
+        // Convert exported frames from window pixels to normalized units: each
+        // frame relative to its origin (or centroid), all frames sharing one
+        // scale so the whole animation spans -1..1. unitSize keeps the pixel
+        // size of one unit so renderers can reproduce the original size.
+        function normalizeExportData(exportData) {
+            const list = exportData.frames ?? [exportData.frame];
+            const origins = list.map(frame => frame.origin ?? {
+                x: frame.points.reduce((s, p) => s + p.x, 0) / frame.points.length,
+                y: frame.points.reduce((s, p) => s + p.y, 0) / frame.points.length,
+                z: 0
+            });
             
-            downloadJSON(exportData, 'particle-frames.json');
-            console.log('Exported ' + frames.length + ' frames');
+            let unitSize = 0;
+            list.forEach((frame, i) => {
+                for (const p of frame.points) {
+                    unitSize = Math.max(unitSize, Math.abs(p.x - origins[i].x), Math.abs(p.y - origins[i].y));
+                }
+            });
+            if (!(unitSize > 0)) unitSize = 1;
+            
+            list.forEach((frame, i) => {
+                const o = origins[i];
+                for (const p of frame.points) {
+                    p.x = (p.x - o.x) / unitSize;
+                    p.y = (p.y - o.y) / unitSize;
+                    p.z = (p.z - (o.z || 0)) / unitSize;
+                }
+                frame.origin = { x: 0, y: 0, z: 0 };
+                frame.bounds = ParticleRenderer.frameBounds(frame.points);
+            });
+            exportData.units = 'normalized';
+            exportData.unitSize = unitSize;
+        }
+        
+        // Convert a stored frame point to the file format. Colours are exported
+        // as shown, so an active palette is baked in; size and alpha are only
+        // written when they differ from the defaults to keep files small.
+        function exportPoint(p) {
+            let r = p.r !== undefined ? p.r : 74;
+            let g = p.g !== undefined ? p.g : 222;
+            let b = p.b !== undefined ? p.b : 128;
+            if (drawSettings.palette) {
+                ({ r, g, b } = getNearestPaletteColor(r, g, b, drawSettings.palette));
+            }
+            
+            const point = { x: p.targetX, y: p.targetY, z: p.baseZ || 0, r, g, b };
+            if (p.size !== undefined && p.size !== 1) point.size = p.size;
+            if (p.a !== undefined && p.a !== 1) point.a = p.a;
+            return point;
+        }
+        
+        // Renderer options reproducing the editor's current look (see
+        // ParticleRenderer options); stored as "render" in exported files
+        function getRenderSettings() {
+            const values = settings.get();
+            return {
+                particleSize: values.size,
+                depthFog: values.depthFog,
+                perspective: values.perspective,
+                autoRotate: animationEnabled,
+                rotateSpeed: values.speed,
+                rotateX: values.rotX,
+                rotateY: values.rotY,
+                rotateZ: values.rotZ,
+                morphDuration: morphDuration,
+                easing: Array.isArray(morphEasing) ? `cubic-bezier(${morphEasing.join(', ')})` : morphEasing,
+                correspondence: morphCorrespondence,
+                loopMode: sequenceLoopMode,
+                holdTime: defaultHoldTime,
+                shape: particleShape,
+                backgroundColor: backgroundColor,
+                trail: trailLength,
+                blendMode: blendMode,
+                glow: glowSize,
+                glowStrength: glowStrength,
+                transitionStyle: transitionStyle,
+                explodeDistance: values.explodeDistance,
+                swirlAxis: values.swirlAxis,
+                swirlTurns: values.swirlTurns,
+                morphPath: morphPath,
+                arcBend: values.arcBend,
+                spiralAxis: values.spiralAxis,
+                spiralTurns: values.spiralTurns,
+                pathNoise: values.pathNoise,
+                stagger: morphStagger,
+                staggerBy: staggerBy,
+                intro: introEnabled ? 'gather' : 'none',
+                outro: outroEnabled ? 'gather' : 'none'
+            };
         }
         
         // Helper function to download JSON data as file
         function downloadJSON(data, filename) {
             const jsonString = JSON.stringify(data, null, 2);
-            const blob = new Blob([jsonString], { type: 'application/json' });
+            downloadBlob(new Blob([jsonString], { type: 'application/json' }), filename);
+        }
+        
+        // Helper function to download a Blob as file
+        function downloadBlob(blob, filename) {
             const url = URL.createObjectURL(blob);
             
             const link = document.createElement('a');
@@ -705,26 +1225,30 @@
             const reader = new FileReader();
             reader.onload = function(e) {
                 try {
-                    const data = JSON.parse(e.target.result);
+                    // Binary files are recognised by their header, anything else is JSON
+                    const buffer = e.target.result;
+                    const data = ParticleRenderer.isBinaryFrames(buffer)
+                        ? ParticleRenderer.decodeFrames(buffer)
+                        : JSON.parse(new TextDecoder().decode(buffer));
                     
-                    // Validate data structure
-                    if (!data.version) {
-                        alert('Invalid file format: missing version');
-                        return;
+                    // Validate strictly first; if that fails offer a repaired copy
+                    let result = ParticleRenderer.validateFrames(data, { mode: 'strict' });
+                    if (!result.valid) {
+                        const repaired = ParticleRenderer.validateFrames(data, { mode: 'lenient' });
+                        if (!repaired.valid) {
+                            alert('Invalid frame file:\n' + formatImportIssues(repaired.errors));
+                            return;
+                        }
+                        if (!confirm('This frame file has problems:\n' + formatImportIssues(result.errors) +
+                                     '\n\nImport a repaired copy (bad points and empty frames dropped)?')) {
+                            return;
+                        }
+                        result = repaired;
                     }
+                    result.warnings.forEach(w => console.warn('Import: ' + (w.path ? w.path + ': ' : '') + w.message));
                     
-                    // Handle single frame export
-                    if (data.frame) {
-                        importSingleFrame(data.frame);
-                    }
-                    // Handle multiple frames export
-                    else if (data.frames && Array.isArray(data.frames)) {
-                        data.frames.forEach(frame => importSingleFrame(frame));
-                    }
-                    else {
-                        alert('Invalid file format: no frame data found');
-                        return;
-                    }
+                    // Single frame and multi-frame exports both arrive as a frame list
+                    result.data.frames.forEach(frame => importSingleFrame(frame, result.data));
                     
                     updateFrameList();
                     console.log('Import complete');
@@ -734,27 +1258,50 @@
                     alert('Failed to import: ' + err.message);
                 }
             };
-            reader.readAsText(file);
+            reader.readAsArrayBuffer(file);
             
             // Reset input so same file can be imported again
             event.target.value = '';
         }
         
-        // Import a single frame from parsed data
-        function importSingleFrame(frameData) {
+        // List validation issues one per line for alerts, up to a limit
+        function formatImportIssues(issues, max = 10) {
+            const lines = issues.slice(0, max).map(i => '- ' + (i.path ? i.path + ': ' : '') + i.message);
+            if (issues.length > max) lines.push('...and ' + (issues.length - max) + ' more');
+            return lines.join('\n');
+        }
+        
+        // Import a single (validated) frame from parsed data. Normalized files
+        // ({ units, unitSize } from the file) are placed around the canvas center.
+        function importSingleFrame(frameData, file = {}) {
+            let origin = frameData.origin;
+            let toPixels = (v) => v;
+            if (file.units === 'normalized') {
+                const o = origin ?? { x: 0, y: 0, z: 0 };
+                const unitSize = file.unitSize;
+                const center = { x: viewWidth / 2, y: viewHeight / 2, z: 0 };
+                toPixels = (v, axis) => center[axis] + (v - o[axis]) * unitSize;
+                origin = center;
+            }
+            
             const points = frameData.points.map(p => ({
-                targetX: p.x,
-                targetY: p.y,
-                baseZ: p.z || 0,
+                targetX: toPixels(p.x, 'x'),
+                targetY: toPixels(p.y, 'y'),
+                baseZ: toPixels(p.z || 0, 'z'),
                 r: p.r,
                 g: p.g,
-                b: p.b
+                b: p.b,
+                size: p.size ?? 1,
+                a: p.a ?? 1
             }));
             
             frames.push({
                 name: frameData.name || ('Imported Frame ' + (frames.length + 1)),
                 points: points,
-                pointCount: points.length
+                pointCount: points.length,
+                hold: Number.isFinite(frameData.hold) ? frameData.hold : defaultHoldTime,
+                origin: origin,
+                tags: frameData.tags ? frameData.tags.slice() : []
             });
             
             console.log('Imported frame: ' + frameData.name + ' with ' + points.length + ' points');
@@ -795,9 +1342,9 @@
                 return;
             }
             
-            particles.length = 0;
+            particles.resize(0);
             const layers = parseInt(document.getElementById('extrusionLayers').value);
-            const layer = parseInt(document.getElementById('layer').value);
+            const layer = settings.get('layer');
             
             // Create multiple depth layers
             for (let l = 0; l < layers; l++) {
@@ -805,8 +1352,8 @@
                 
                 for (let i = 0; i < svgPoints.length; i++) {
                     const point = svgPoints[i];
-                    const centerX = canvas.width / 2;
-                    const centerY = canvas.height / 2;
+                    const centerX = viewWidth / 2;
+                    const centerY = viewHeight / 2;
                     
                     const svgCenterX = svgPoints.reduce((sum, p) => sum + p.x, 0) / svgPoints.length;
                     const svgCenterY = svgPoints.reduce((sum, p) => sum + p.y, 0) / svgPoints.length;
@@ -814,8 +1361,7 @@
                     const targetX = centerX + (point.x - svgCenterX) * 3 * imageScale;
                     const targetY = centerY + (point.y - svgCenterY) * 3 * imageScale;
                     
-                    const p = new Particle(targetX, targetY, layer, targetX, targetY, zDepth);
-                    particles.push(p);
+                    addParticle(targetX, targetY, layer, targetX, targetY, zDepth);
                 }
             }
             
@@ -828,16 +1374,16 @@
         function applyProjections() {
             if (svgPoints.length === 0) return;
             
-            particles.length = 0;
+            particles.resize(0);
             
             const numProjections = parseInt(document.getElementById('projections').value);
             const extrusion = parseFloat(document.getElementById('extrusion').value);
             const extrusionLayers = parseInt(document.getElementById('extrusionLayers').value);
             const projectionAxis = document.getElementById('projectionAxis').value;
-            const layer = parseInt(document.getElementById('layer').value);
+            const layer = settings.get('layer');
             
-            const centerX = canvas.width / 2;
-            const centerY = canvas.height / 2;
+            const centerX = viewWidth / 2;
+            const centerY = viewHeight / 2;
             const svgCenterX = svgPoints.reduce((sum, p) => sum + p.x, 0) / svgPoints.length;
             const svgCenterY = svgPoints.reduce((sum, p) => sum + p.y, 0) / svgPoints.length;
             
@@ -881,8 +1427,7 @@
                         const targetX = centerX + rotX;
                         const targetY = centerY + rotY;
                         
-                        const p = new Particle(targetX, targetY, layer, targetX, targetY, rotZ);
-                        particles.push(p);
+                        addParticle(targetX, targetY, layer, targetX, targetY, rotZ);
                     }
                 }
             }
@@ -891,7 +1436,7 @@
             console.log(`Created ${numProjections} projections around ${projectionAxis}-axis`);
             
             // Rebuild wireframe connections with new particle positions
-            if (document.getElementById('wireframe').checked) {
+            if (settings.get('wireframe')) {
                 updateWireframe();
             }
         }
@@ -899,7 +1444,7 @@
         // Build wireframe connections between nearby particles
         // Creates line segments for 3D wireframe visualization
         function updateWireframe() {
-            if (!document.getElementById('wireframe').checked) {
+            if (!settings.get('wireframe')) {
                 wireframeConnections = [];
                 return;
             }
@@ -910,8 +1455,8 @@
             
             for (let i = 0; i < particles.length; i++) {
                 for (let j = i + 1; j < particles.length; j++) {
-                    const dx = particles[i].baseX - particles[j].baseX;
-                    const dy = particles[i].baseY - particles[j].baseY;
+                    const dx = particles.baseX[i] - particles.baseX[j];
+                    const dy = particles.baseY[i] - particles.baseY[j];
                     const dist = Math.sqrt(dx * dx + dy * dy);
                     
                     if (dist < maxDist) {
@@ -926,12 +1471,12 @@
         // Generate a 3D sphere of evenly distributed points
         // Uses Fibonacci sphere algorithm for uniform distribution
         function generateSphere() {
-            particles.length = 0;
+            particles.resize(0);
             
             const numPoints = parseInt(document.getElementById('spherePoints').value);
             const radius = parseFloat(document.getElementById('sphereRadius').value);
-            const centerX = canvas.width / 2;
-            const centerY = canvas.height / 2;
+            const centerX = viewWidth / 2;
+            const centerY = viewHeight / 2;
             
             // Use Fibonacci sphere for even distribution
             const goldenRatio = (1 + Math.sqrt(5)) / 2;
@@ -945,18 +1490,7 @@
                 const y = radius * Math.sin(phi) * Math.sin(theta);
                 const z = radius * Math.cos(phi);
                 
-                const p = new Particle(
-                    centerX + x, 
-                    centerY + y, 
-                    1, 
-                    centerX + x, 
-                    centerY + y,
-                    z
-                );
-                p.baseX = centerX + x;
-                p.baseY = centerY + y;
-                p.baseZ = z;
-                particles.push(p);
+                addParticle(centerX + x, centerY + y, 1, centerX + x, centerY + y, z);
             }
             
             updateCount();
@@ -973,7 +1507,7 @@
         // Add particles to the scene
         // If SVG points are loaded, new particles follow those positions
         function addParticles(count) {
-            const layer = parseInt(document.getElementById('layer').value);
+            const layer = settings.get('layer');
             
             console.log('Adding particles, svgPoints.length =', svgPoints.length);
             
@@ -981,13 +1515,13 @@
                 // If SVG points exist, use them
                 if (svgPoints.length > 0) {
                     const point = svgPoints[i % svgPoints.length];
-                    const centerX = canvas.width / 2;
-                    const centerY = canvas.height / 2;
+                    const centerX = viewWidth / 2;
+                    const centerY = viewHeight / 2;
                     const targetX = centerX + (point.x - svgPoints[0].x);
                     const targetY = centerY + (point.y - svgPoints[0].y);
-                    particles.push(new Particle(targetX, targetY, layer, targetX, targetY));
+                    addParticle(targetX, targetY, layer, targetX, targetY);
                 } else {
-                    particles.push(new Particle(null, null, layer));
+                    addParticle(null, null, layer);
                 }
             }
             updateCount();
@@ -995,7 +1529,7 @@
         
         // Remove all particles from the scene
         function clearParticles() {
-            particles.length = 0;
+            particles.resize(0);
             updateCount();
         }
         
@@ -1445,15 +1979,15 @@
         // Centers the shape on the canvas and applies scaling
         function autoAddParticlesFromSVG() {
             // Clear existing particles
-            particles.length = 0;
+            particles.resize(0);
             
-            const layer = parseInt(document.getElementById('layer').value);
+            const layer = settings.get('layer');
             
             // Add a particle for each SVG point
             for (let i = 0; i < svgPoints.length; i++) {
                 const point = svgPoints[i];
-                const centerX = canvas.width / 2;
-                const centerY = canvas.height / 2;
+                const centerX = viewWidth / 2;
+                const centerY = viewHeight / 2;
                 
                 // Center the SVG on the canvas
                 const svgCenterX = svgPoints.reduce((sum, p) => sum + p.x, 0) / svgPoints.length;
@@ -1462,14 +1996,13 @@
                 const targetX = centerX + (point.x - svgCenterX) * 3 * imageScale; // Scale up
                 const targetY = centerY + (point.y - svgCenterY) * 3 * imageScale;
                 
-                const particle = new Particle(targetX, targetY, layer, targetX, targetY);
+                const p = addParticle(targetX, targetY, layer, targetX, targetY);
                 // Set color from sampled point if available
                 if (point.r !== undefined) {
-                    particle.sourceR = point.r;
-                    particle.sourceG = point.g;
-                    particle.sourceB = point.b;
+                    particles.r[p] = point.r;
+                    particles.g[p] = point.g;
+                    particles.b[p] = point.b;
                 }
-                particles.push(particle);
             }
             
             updateCount();
@@ -1514,6 +2047,84 @@
         // Functions for handling UI interactions and control panel behavior
         // ============================================================================
         
+        // Refresh the plain per-frame values (drawSettings) from the store
+        function readDrawSettings(values = settings.get()) {
+            const toRadians = Math.PI / 180;
+            drawSettings.speed = values.speed;
+            drawSettings.rotX = values.rotX * toRadians;
+            drawSettings.rotY = values.rotY * toRadians;
+            drawSettings.rotZ = values.rotZ * toRadians;
+            drawSettings.baseSize = values.size;
+            drawSettings.reduction = values.reduction;
+            drawSettings.depthScale = values.depthScale;
+            drawSettings.usePerspective = values.perspective;
+            drawSettings.useDepthFog = values.depthFog;
+            drawSettings.depthSort = values.depthSort;
+            drawSettings.drawMode = values.drawMode;
+            drawSettings.wireframe = values.wireframe;
+            drawSettings.palette = values.useColorPalette ? colorPalettes[values.colorPalette] : null;
+            
+            // Display smoothing per 60Hz frame: faster with more depth effects and speed
+            const smoothing = 0.06 + values.depthScale / 10 + (values.depthFog ? 0.08 : 0) + values.speed / 50;
+            drawSettings.smoothing = Math.max(0.02, Math.min(0.6, smoothing));
+        }
+        readDrawSettings();
+        settings.subscribe(readDrawSettings);
+        
+        // Bind each setting to the control with the same id, plus its
+        // "<id>Input" number box and "<id>Value" label where present.
+        // Controls write to the store; store changes made elsewhere (arrow
+        // keys, hover rotation, settings.load) are shown on the controls.
+        function bindSettingControls() {
+            const controls = Object.keys(settings.get()).map(key => ({
+                key,
+                element: document.getElementById(key),
+                input: document.getElementById(key + 'Input'),
+                label: document.getElementById(key + 'Value')
+            }));
+            
+            // Value shown by a control, typed like the setting
+            const readControl = (key, element) => {
+                const type = typeof settings.get(key);
+                if (type === 'boolean') return element.checked;
+                if (type === 'number') return parseFloat(element.value);
+                return element.value;
+            };
+            
+            const initial = {};
+            controls.forEach(({ key, element, input }) => {
+                // Inline handlers run first and keep the slider in sync with its
+                // number box, so the slider always holds the value to store
+                const write = () => {
+                    const value = readControl(key, element);
+                    if (!Number.isNaN(value)) settings.set({ [key]: value });
+                };
+                element.addEventListener('input', write);
+                element.addEventListener('change', write);
+                if (input) input.addEventListener('input', write);
+                // Start from the controls, which the browser may have restored
+                initial[key] = readControl(key, element);
+            });
+            
+            settings.subscribe((values, changes) => {
+                controls.forEach(({ key, element, input, label }) => {
+                    if (!changes.includes(key)) return;
+                    const value = values[key];
+                    if (typeof value === 'boolean') {
+                        element.checked = value;
+                    } else if (readControl(key, element) !== value) {
+                        element.value = value;
+                    }
+                    // Leave a number box being typed in alone
+                    if (input && parseFloat(input.value) !== value) input.value = value;
+                    if (label) label.textContent = value;
+                });
+            });
+            settings.subscribe(onRotationChange, ['rotX', 'rotY', 'rotZ']);
+            settings.subscribe(updateWireframe, ['wireframe']);
+            settings.set(initial);
+        }
+        
         // Toggle visibility of a collapsible section in the control panel
         function toggleSection(event) {
             const header = event.currentTarget;
@@ -1524,6 +2135,109 @@
             toggle.classList.toggle('collapsed');
         }
         
+        // Rebuild the particle drawer from the shape controls
+        function updateParticleShape() {
+            const type = document.getElementById('particleShape').value;
+            document.getElementById('shapeGlyphOptions').style.display = type === 'glyph' ? 'block' : 'none';
+            document.getElementById('shapePathOptions').style.display = type === 'path' ? 'block' : 'none';
+            document.getElementById('shapeImageOptions').style.display = type === 'image' ? 'block' : 'none';
+            
+            if (type === 'glyph') {
+                const text = document.getElementById('shapeGlyph').value.trim();
+                particleShape = text ? { type: 'glyph', text } : 'circle';
+            } else if (type === 'path') {
+                const d = document.getElementById('shapePath').value.trim();
+                particleShape = d ? { type: 'path', d } : 'circle';
+            } else if (type === 'image') {
+                // Keep circles until an image has been chosen
+                particleShape = shapeImageSrc
+                    ? { type: 'image', src: shapeImageSrc, tint: document.getElementById('shapeTint').checked }
+                    : 'circle';
+            } else {
+                particleShape = type;
+            }
+            
+            drawParticleShape = ParticleRenderer.createShapeDrawer(particleShape);
+        }
+        
+        // Read the glow, blend and trail controls
+        function updateEffects() {
+            glowSize = parseFloat(document.getElementById('glow').value);
+            glowStrength = parseFloat(document.getElementById('glowStrength').value);
+            blendMode = document.getElementById('blendMode').value;
+            trailLength = parseFloat(document.getElementById('trail').value);
+            
+            const transparent = document.getElementById('transparentBackground').checked;
+            backgroundColor = transparent ? 'transparent' : document.getElementById('backgroundColor').value;
+            document.getElementById('backgroundColor').disabled = transparent;
+            canvas.classList.toggle('transparent-preview', transparent);
+        }
+        
+        // Read the pointer force controls
+        function updateForceField() {
+            forceMode = document.getElementById('forceMode').value;
+            forceRadius = parseFloat(document.getElementById('forceRadius').value);
+            forceStrength = parseFloat(document.getElementById('forceStrength').value);
+            forceStiffness = parseFloat(document.getElementById('forceStiffness').value);
+            shockwaveEnabled = document.getElementById('shockwave').checked;
+            if (forceMode === 'none') forceField.pointer = null;
+        }
+        
+        // Show or hide the swirl axis for the selected transition style
+        function onTransitionStyleChange() {
+            transitionStyle = document.getElementById('transitionStyle').value;
+            document.getElementById('explodeOptions').style.display = transitionStyle === 'explode' ? 'block' : 'none';
+            document.getElementById('swirlAxisOptions').style.display = transitionStyle === 'swirl' ? 'block' : 'none';
+        }
+        
+        // Show the parameters of the selected morph path
+        function onMorphPathChange() {
+            morphPath = document.getElementById('morphPath').value;
+            document.getElementById('arcOptions').style.display = morphPath === 'arc' ? 'block' : 'none';
+            document.getElementById('spiralOptions').style.display = morphPath === 'spiral' ? 'block' : 'none';
+            document.getElementById('noiseOptions').style.display = morphPath === 'noise' ? 'block' : 'none';
+        }
+        
+        // Preview the gather intro/outro: particles scatter to the canvas
+        // edges (as renderer.stop() does) and gather back in (as start() does)
+        function previewGather() {
+            if (gatherState || particles.length === 0) return;
+            for (let i = 0; i < particles.length; i++) {
+                const edge = ParticleRenderer.edgePoint(viewWidth, viewHeight);
+                particles.gatherX[i] = edge.x;
+                particles.gatherY[i] = edge.y;
+            }
+            gatherState = { amount: 0, direction: 1, duration: 800 };
+        }
+        
+        // Advance the intro/outro preview by one frame
+        function updateGatherPreview() {
+            const step = deltaTime / gatherState.duration;
+            gatherState.amount = Math.min(1, Math.max(0, gatherState.amount + step * gatherState.direction));
+            if (gatherState.direction > 0 && gatherState.amount === 1) {
+                gatherState.direction = -1;
+                gatherState.duration = 1200;
+            }
+            gatherAmount = ParticleRenderer.easings.easeInOutCubic(gatherState.amount);
+            if (gatherState.direction < 0 && gatherState.amount === 0) {
+                gatherState = null;
+                gatherAmount = 0;
+            }
+        }
+        
+        // Load a sprite image for the 'image' particle shape
+        function loadShapeImage(event) {
+            const file = event.target.files[0];
+            if (!file) return;
+            
+            const reader = new FileReader();
+            reader.onload = (e) => {
+                shapeImageSrc = e.target.result;
+                updateParticleShape();
+            };
+            reader.readAsDataURL(file);
+        }
+        
         // Toggle between animated and static rotation modes
         // Animated: rotation accumulates over time
         // Static: sliders control exact rotation angles
@@ -1536,15 +2250,11 @@
             const rotYUnit = document.getElementById('rotYUnit');
             const rotZUnit = document.getElementById('rotZUnit');
             
-            if (animationEnabled) {
-                rotXUnit.textContent = '/s';
-                rotYUnit.textContent = '/s';
-                rotZUnit.textContent = '/s';
-            } else {
-                rotXUnit.textContent = '';
-                rotYUnit.textContent = '';
-                rotZUnit.textContent = '';
-            }
+            // Animated values are rates (scaled by speed), static ones degrees
+            const unit = animationEnabled ? '' : '°';
+            rotXUnit.textContent = unit;
+            rotYUnit.textContent = unit;
+            rotZUnit.textContent = unit;
             
             console.log('Animation:', animationEnabled ? 'enabled' : 'disabled');
         }
@@ -1554,34 +2264,41 @@
         function toggleHoverRotate() {
             const checkbox = document.getElementById('hoverRotate');
             hoverRotateEnabled = checkbox.checked;
-            // Cache hover max for faster lookups during mousemove
-            lastHoverMaxCache = parseFloat(document.getElementById('hoverMax').value);
             console.log('Hover rotate:', hoverRotateEnabled ? 'enabled' : 'disabled');
         }
         
-        // Update cached hover max value when slider changes
-        document.addEventListener('DOMContentLoaded', function() {
-            document.getElementById('hoverMax').addEventListener('change', function() {
-                lastHoverMaxCache = parseFloat(this.value);
-            });
-        });
-        
-        // Initialize rotation angles from slider values on page load
+        // Initialize rotation angles from the rotation settings on page load
         function initializeRotation() {
-            staticRotX = parseFloat(document.getElementById('rotX').value) * Math.PI / 180;
-            staticRotY = parseFloat(document.getElementById('rotY').value) * Math.PI / 180;
-            staticRotZ = parseFloat(document.getElementById('rotZ').value) * Math.PI / 180;
+            staticRotX = drawSettings.rotX;
+            staticRotY = drawSettings.rotY;
+            staticRotZ = drawSettings.rotZ;
             // Force update all particles with the initial rotation
-            particles.forEach(p => p.update());
+            updateParticles();
         }
         
-        // Handle manual rotation slider changes (when animation is disabled)
+        // Handle rotation setting changes (when animation is disabled)
         function onRotationChange() {
             if (!animationEnabled) {
-                // Update static rotation angles when sliders change
-                staticRotX = parseFloat(document.getElementById('rotX').value) * Math.PI / 180;
-                staticRotY = parseFloat(document.getElementById('rotY').value) * Math.PI / 180;
-                staticRotZ = parseFloat(document.getElementById('rotZ').value) * Math.PI / 180;
+                // Update static rotation angles when the settings change
+                staticRotX = drawSettings.rotX;
+                staticRotY = drawSettings.rotY;
+                staticRotZ = drawSettings.rotZ;
+            }
+        }
+        
+        // Handle morph easing selection (named easing or custom cubic-bezier)
+        function onMorphEasingChange() {
+            const selected = document.getElementById('morphEasing').value;
+            const bezierInput = document.getElementById('morphBezier');
+            bezierInput.style.display = selected === 'custom' ? 'block' : 'none';
+            
+            if (selected === 'custom') {
+                const args = bezierInput.value.split(',').map(parseFloat);
+                // Keep the previous easing while the control points are being typed
+                if (args.length !== 4 || !args.every(Number.isFinite)) return;
+                morphEasing = args;
+            } else {
+                morphEasing = selected;
             }
         }
         
@@ -1602,6 +2319,7 @@
         
         // Initialize on page load after short delay to ensure DOM is ready
         setTimeout(() => {
+            bindSettingControls(); // Connect the control panel to the settings store
             toggleAnimation();     // Set initial animation state
             toggleHoverRotate();   // Set initial hover rotate state
             initializeRotation();  // Initialize rotation angles
@@ -1625,17 +2343,14 @@
         // Main animation loop - called every frame via requestAnimationFrame
         // Parameter: currentTime - timestamp from requestAnimationFrame
         function animate(currentTime) {
-            // Increment animation time
-            animTime++;
+            // Advance animation time by the real elapsed time
+            deltaTime = lastTime && currentTime ? Math.min(Math.max(currentTime - lastTime, 0), maxDeltaTime) : 0;
+            frameScale = deltaTime / (1000 / 60);
+            animTime += deltaTime / 1000;
             
             // Performance monitoring
             let frameStartTime = performance.now();
-            
-            // Update cached draw options periodically (every ~100ms)
-            if (currentTime - lastDrawCacheUpdate > 100) {
-                drawCache.wireframeEnabled = document.getElementById('wireframe').checked;
-                lastDrawCacheUpdate = currentTime;
-            }
+            const frameInterval = lastTime && currentTime ? currentTime - lastTime : 0;
             
             // Calculate FPS (throttled update)
             if (lastTime) {
@@ -1660,82 +2375,110 @@
             }
             lastTime = currentTime;
             
-            // Clear canvas
-            ctx.fillStyle = 'rgba(0, 0, 0, 0.1)';
-            ctx.fillRect(0, 0, canvas.width, canvas.height);
+            // Clear or fade the last frame
+            ParticleRenderer.paintBackground(ctx, viewWidth, viewHeight, backgroundColor, trailLength, deltaTime);
+            
+            // Advance the frame sequencer when autoplay is on
+            if (sequencePlaying && !isMorphing) {
+                updateSequence();
+            }
             
             // Update morph progress if morphing
             if (isMorphing) {
-                morphProgress += morphSpeed;
+                let morphStep = deltaTime;
+                if (activeMorphDelay > 0) {
+                    const waited = Math.min(activeMorphDelay, morphStep);
+                    activeMorphDelay -= waited;
+                    morphStep -= waited;
+                }
+                morphProgress += activeMorphDuration > 0 ? morphStep / activeMorphDuration : 1;
                 if (morphProgress >= 1) {
                     morphProgress = 1;
                     isMorphing = false;
                     
                     // Remove particles that were marked for removal (excess particles that merged)
-                    const beforeCount = particles.length;
-                    for (let i = particles.length - 1; i >= 0; i--) {
-                        if (particles[i].markedForRemoval) {
-                            particles.splice(i, 1);
-                        }
-                    }
-                    if (particles.length !== beforeCount) {
+                    if (particles.compact(ParticleRenderer.PARTICLE_FLAGS.remove) > 0) {
                         updateCount();
                     }
+                    depthSorter.invalidate();
                     
                     console.log('Morph complete');
                 }
                 
-                // Update all particles with morph progress
-                const pLen = particles.length;
-                for (let i = 0; i < pLen; i++) {
-                    particles[i].updateMorph(morphProgress);
+                // Update all particles with eased morph progress
+                updateMorph(activeMorphEase(morphProgress));
+                
+                // Start the next queued morph once this one has landed
+                if (!isMorphing && morphQueue.length > 0) {
+                    const queued = morphQueue.shift();
+                    morphToFrame(queued.index, queued.transition);
                 }
             }
             
-            // Update all particles first (use for-loop for better performance)
-            const pLen = particles.length;
-            for (let i = 0; i < pLen; i++) {
-                particles[i].update();
-            }
+            // Update all particles first
+            updateParticles();
             
-            // Sort by depth (draw far points first, near points last)
-            particles.sort((a, b) => a.currentZ - b.currentZ);
+            // Intro/outro preview: scatter out, then gather back in
+            if (gatherState) updateGatherPreview();
+            
+            // Push particles around the pointer and spring them back home
+            forceField.step(particles, deltaTime, {
+                mode: forceMode,
+                radius: forceRadius,
+                strength: forceStrength,
+                stiffness: forceStiffness
+            });
+            
+            // Order the drawing by depth (draw far points first, near points last)
+            depthSorter.sort(particles, {
+                strategy: drawSettings.depthSort,
+                depthFog: drawSettings.useDepthFog && quality.effects,
+                rotation: rotationMatrix,
+                moving: isMorphing || gatherState !== null
+            });
+            const pLen = particles.length;
+            const pz = particles.z;
             
             // Calculate max Z efficiently (single pass, no intermediate array)
             let maxZ = 1;
             for (let i = 0; i < pLen; i++) {
-                const absZ = Math.abs(particles[i].currentZ);
+                const absZ = Math.abs(pz[i]);
                 if (absZ > maxZ) maxZ = absZ;
             }
             
             // Draw wireframe connections (only if enabled)
-            if (drawCache.wireframeEnabled && wireframeConnections.length > 0) {
+            if (drawSettings.wireframe && quality.effects && wireframeConnections.length > 0) {
                 ctx.strokeStyle = 'rgba(74, 222, 128, 0.15)';
                 ctx.lineWidth = 0.5;
                 const wLen = wireframeConnections.length;
                 for (let i = 0; i < wLen; i++) {
-                    const [idx1, idx2] = wireframeConnections[i];
-                    const p1 = particles[idx1];
-                    const p2 = particles[idx2];
-                    if (p1 && p2) {
+                    const [i1, i2] = wireframeConnections[i];
+                    if (i1 < pLen && i2 < pLen) {
                         ctx.beginPath();
-                        ctx.moveTo(p1.x, p1.y);
-                        ctx.lineTo(p2.x, p2.y);
+                        ctx.moveTo(particles.x[i1] + particles.forceX[i1], particles.y[i1] + particles.forceY[i1]);
+                        ctx.lineTo(particles.x[i2] + particles.forceX[i2], particles.y[i2] + particles.forceY[i2]);
                         ctx.stroke();
                     }
                 }
             }
             
-            // Draw particles (use for loop instead of forEach for better performance)
-            for (let i = 0; i < pLen; i++) {
-                particles[i].draw(maxZ);
-            }
+            // Draw particles
+            // Smoothing is tuned per 60Hz frame; scale it to the real frame time
+            const smooth = 1 - Math.pow(1 - drawSettings.smoothing, frameScale);
+            ctx.globalCompositeOperation = ParticleRenderer.compositeOperation(blendMode);
+            drawParticles(maxZ, smooth);
+            ctx.globalCompositeOperation = 'source-over';
             
             // Update performance debug display
             if (perfEnabled && Math.floor(currentTime) % 100 < 16) {
                 updatePerfDebugDisplay();
             }
             
+            // Step quality down or up from this frame's timing
+            if (adaptiveQuality && frameInterval > 0) {
+                updateQuality(frameInterval, performance.now() - frameStartTime);
+            }
+            
             requestAnimationFrame(animate);
         }
         
@@ -1746,7 +2489,7 @@
         // ============================================================================
         // SECTION 13: EVENT HANDLERS
         // ============================================================================
-        // Mouse and keyboard event handling for interaction
+        // Pointer (mouse/touch/pen) and keyboard event handling for interaction
         // ============================================================================
 
         // Right-click canvas to morph to next frame
@@ -1755,26 +2498,103 @@
             morphToNextFrame();
         });
         
-        // Mouse down handler - start drag operation
-        canvas.addEventListener('mousedown', (e) => {
-            if (e.button === 2) return; // Ignore right-click for drag
-            isDragging = true;
-            dragMoved = false;
-            lastMouseX = e.clientX;
-            lastMouseY = e.clientY;
-            canvas.style.cursor = 'grabbing';
+        // Let the editor handle every touch gesture on the canvas itself
+        canvas.style.touchAction = 'none';
+        
+        // Distance between the first two pressed pointers (for pinch)
+        function getPointerDistance() {
+            const [a, b] = [...activePointers.values()];
+            return Math.hypot(a.x - b.x, a.y - b.y);
+        }
+        
+        // Cancel a pending long-press morph
+        function cancelLongPress() {
+            if (longPressTimer) {
+                clearTimeout(longPressTimer);
+                longPressTimer = null;
+            }
+        }
+        
+        // Pointer down handler - start drag, long-press or two-finger gesture
+        canvas.addEventListener('pointerdown', (e) => {
+            if (e.pointerType === 'mouse' && e.button === 2) return; // Right-click morphs via contextmenu
+            canvas.setPointerCapture(e.pointerId);
+            activePointers.set(e.pointerId, {
+                x: e.clientX, y: e.clientY, startX: e.clientX, startY: e.clientY,
+                time: performance.now(), tap: activePointers.size === 0
+            });
+            if (forceMode !== 'none') forceField.pointer = { x: e.clientX, y: e.clientY };
+            
+            if (activePointers.size === 1) {
+                isDragging = true;
+                dragMoved = false;
+                lastMouseX = e.clientX;
+                lastMouseY = e.clientY;
+                canvas.style.cursor = 'grabbing';
+                
+                // Long-press on touch/pen morphs to the next frame
+                if (e.pointerType !== 'mouse') {
+                    longPressTimer = setTimeout(() => {
+                        longPressTimer = null;
+                        isDragging = false;
+                        morphToNextFrame();
+                    }, longPressDelay);
+                }
+            } else if (activePointers.size === 2) {
+                // Second finger: switch from drag to pinch / two-finger tap
+                cancelLongPress();
+                activePointers.forEach(p => { p.tap = false; });
+                isDragging = false;
+                pinchDistance = getPointerDistance();
+                twoFingerStart = performance.now();
+                twoFingerMoved = false;
+            }
         });
 
-        // Mouse move handler - update hover rotation or drag particles
-        window.addEventListener('mousemove', (e) => {
-            // Update last mouse position for hover rotate
-            lastMouseX = e.clientX;
-            lastMouseY = e.clientY;
+        // Pointer move handler - update hover rotation, pinch or drag particles
+        window.addEventListener('pointermove', (e) => {
+            const pointer = activePointers.get(e.pointerId);
+            if (pointer) {
+                pointer.x = e.clientX;
+                pointer.y = e.clientY;
+                if (Math.hypot(e.clientX - pointer.startX, e.clientY - pointer.startY) > tapMoveTolerance) {
+                    cancelLongPress();
+                    twoFingerMoved = true;
+                    pointer.tap = false;
+                }
+            }
+            
+            // The force field follows the pointer while it's over the canvas
+            if (forceMode !== 'none') {
+                forceField.pointer = e.target === canvas || pointer ? { x: e.clientX, y: e.clientY } : null;
+            }
+            
+            // Pinch scales the particle layout around the rotation center. During a
+            // morph the start and target positions scale too, or the next frame of
+            // the morph would undo it
+            if (activePointers.size >= 2) {
+                const distance = getPointerDistance();
+                if (pinchDistance > 0 && distance > 0) {
+                    const factor = distance / pinchDistance;
+                    const P = particles;
+                    const ends = isMorphing ? ['base', 'morphStart', 'morphTarget'] : ['base'];
+                    for (const end of ends) {
+                        const xs = P[end + 'X'], ys = P[end + 'Y'], zs = P[end + 'Z'];
+                        for (let i = 0; i < P.length; i++) {
+                            xs[i] = rotationCenterX + (xs[i] - rotationCenterX) * factor;
+                            ys[i] = rotationCenterY + (ys[i] - rotationCenterY) * factor;
+                            zs[i] *= factor;
+                        }
+                    }
+                }
+                pinchDistance = distance;
+                return;
+            }
             
             // Handle hover rotation when enabled
             if (hoverRotateEnabled && !animationEnabled) {
-                const centerX = canvas.width / 2;
-                const centerY = canvas.height / 2;
+                const centerX = viewWidth / 2;
+                const centerY = viewHeight / 2;
                 
                 // Calculate position relative to center
                 const relX = e.clientX - centerX;
@@ -1782,60 +2602,84 @@
                 
                 // Calculate rotation based on position
                 // Vertical position controls X rotation
-                const rotXAmount = (relY / centerY) * lastHoverMaxCache;
+                const hoverMax = settings.get('hoverMax');
+                const rotXAmount = (relY / centerY) * hoverMax;
                 // Horizontal position controls Y rotation
-                const rotYAmount = (relX / centerX) * lastHoverMaxCache;
+                const rotYAmount = (relX / centerX) * hoverMax;
                 
-                // Throttle DOM updates to avoid excessive reflows
+                // Throttle settings (and so DOM) updates to avoid excessive reflows
                 const now = performance.now();
                 if (now - lastHoverUpdateTime > hoverUpdateThrottle) {
-                    const rotXStr = rotXAmount.toFixed(1);
-                    const rotYStr = rotYAmount.toFixed(1);
-                    document.getElementById('rotX').value = -rotXStr;
-                    document.getElementById('rotY').value = rotYStr;
-                    document.getElementById('rotXValue').textContent = rotXStr;
-                    document.getElementById('rotYValue').textContent = rotYStr;
+                    settings.set({
+                        rotX: -Math.round(rotXAmount * 10) / 10,
+                        rotY: Math.round(rotYAmount * 10) / 10
+                    });
                     lastHoverUpdateTime = now;
                 }
                 
                 // Update rotation angles (converted to radians)
                 staticRotX = -rotXAmount * Math.PI / 180;
                 staticRotY = rotYAmount * Math.PI / 180;
+                lastMouseX = e.clientX;
+                lastMouseY = e.clientY;
                 return; // Don't process drag when hover rotate is active
             }
             
-            if (!isDragging) return;
+            // Dragging pushes particles with the force field instead of moving them
+            if (!isDragging || forceMode !== 'none') return;
             const dx = e.clientX - lastMouseX;
             const dy = e.clientY - lastMouseY;
             if (Math.abs(dx) + Math.abs(dy) > 1) dragMoved = true;
 
             if (animationEnabled) {
                 // When animation is enabled: move particles
-                const baseSizeVal = parseFloat(document.getElementById('size').value);
-                particles.forEach(p => {
-                    const sizeVal = p.displaySize || baseSizeVal;
+                const baseSizeVal = settings.get('size');
+                for (let i = 0; i < particles.length; i++) {
+                    const sizeVal = particles.displaySize[i] || baseSizeVal;
                     const normalized = Math.min(1, sizeVal / Math.max(0.1, baseSizeVal));
                     const moveFactor = 0.12 + normalized * 0.88; // 0.12..1.0
-                    p.baseX += dx * moveFactor;
-                    p.baseY += dy * moveFactor;
-                    // keep targetX/targetY in sync for SVG-anchored particles
-                    if (p.hasTarget) {
-                        p.targetX = p.baseX;
-                        p.targetY = p.baseY;
-                    }
-                });
+                    particles.baseX[i] += dx * moveFactor;
+                    particles.baseY[i] += dy * moveFactor;
+                }
             }
 
+            // Remember position for the next drag delta
             lastMouseX = e.clientX;
             lastMouseY = e.clientY;
         });
 
-        // Mouse up handler - end drag operation
-        window.addEventListener('mouseup', (e) => {
-            if (isDragging) {
+        // Pointer up/cancel handler - end drag, detect two-finger tap
+        function onPointerRelease(e) {
+            const pointer = activePointers.get(e.pointerId);
+            if (!activePointers.delete(e.pointerId)) return;
+            cancelLongPress();
+            
+            // A quick single tap/click launches a shockwave
+            const quickTap = pointer.tap && performance.now() - pointer.time < longPressDelay;
+            if (shockwaveEnabled && quickTap && e.type === 'pointerup') {
+                forceField.shockwave(e.clientX, e.clientY);
+            }
+            // Touch stops pushing when the finger lifts; a mouse until it leaves
+            if (e.pointerType !== 'mouse') forceField.pointer = null;
+            
+            // Two fingers tapped and lifted quickly: morph like a right-click
+            if (activePointers.size === 1 && twoFingerStart > 0) {
+                const quick = performance.now() - twoFingerStart < twoFingerTapTime;
+                if (quick && !twoFingerMoved && e.type === 'pointerup') {
+                    morphToNextFrame();
+                }
+                twoFingerStart = 0;
+            }
+            
+            if (activePointers.size === 0) {
                 isDragging = false;
                 canvas.style.cursor = 'default';
             }
+        }
+        window.addEventListener('pointerup', onPointerRelease);
+        window.addEventListener('pointercancel', onPointerRelease);
+        canvas.addEventListener('pointerleave', (e) => {
+            if (e.pointerType === 'mouse') forceField.pointer = null;
         });
         
         // Arrow key handler - rotate manually when animation is disabled
@@ -1844,11 +2688,8 @@
                 e.preventDefault();
                 
                 const rotationStep = 5; // degrees per arrow press
-                const rotXSlider = document.getElementById('rotX');
-                const rotYSlider = document.getElementById('rotY');
-                
-                let newRotX = parseFloat(rotXSlider.value);
-                let newRotY = parseFloat(rotYSlider.value);
+                let newRotX = settings.get('rotX');
+                let newRotY = settings.get('rotY');
                 
                 if (e.key === 'ArrowUp') {
                     newRotX = Math.max(-180, newRotX - rotationStep);
@@ -1860,14 +2701,8 @@
                     newRotY = Math.min(180, newRotY + rotationStep);
                 }
                 
-                // Update sliders and display
-                rotXSlider.value = newRotX;
-                rotYSlider.value = newRotY;
-                document.getElementById('rotXValue').textContent = newRotX;
-                document.getElementById('rotYValue').textContent = newRotY;
-                
-                // Update rotation angles
-                onRotationChange();
+                // Sliders, display and rotation angles follow the settings
+                settings.set({ rotX: newRotX, rotY: newRotY });
             }
         });
         
@@ -1940,6 +2775,37 @@
             }
         }
         
+        // Read the adaptive quality controls; turning it off restores full quality
+        function updateAdaptiveQuality() {
+            adaptiveQuality = document.getElementById('adaptiveQuality').checked;
+            const targetFps = parseFloat(document.getElementById('targetFps').value);
+            if (targetFps > 0) qualityController.targetFps = targetFps;
+            if (!adaptiveQuality && qualityController.reset()) applyQuality();
+        }
+        
+        // Feed one frame's timing to the quality controller
+        // Parameters: interval - time since the previous frame (ms)
+        //             work - time this frame's update and drawing took (ms)
+        function updateQuality(interval, work) {
+            if (qualityController.update(interval, work)) applyQuality();
+        }
+        
+        // Use the controller's current level: particle share and effects are
+        // read every frame, the pixel ratio needs the canvas resized
+        function applyQuality() {
+            const previous = quality;
+            quality = qualityController.settings;
+            if (quality.pixelRatio !== previous.pixelRatio) {
+                qualityPixelRatio = quality.pixelRatio;
+                resize();
+            }
+            const level = qualityController.level;
+            document.getElementById('qualityLevel').textContent = level === 0
+                ? 'Full'
+                : `${level} (${Math.round(quality.particles * 100)}%)`;
+            console.log('Quality level:', level, quality);
+        }
+        
         // Ctrl+Shift+D keyboard shortcut to toggle debug panel
         document.addEventListener('keydown', (e) => {
             if (e.key === 'D' && e.ctrlKey && e.shiftKey) {
@@ -1957,6 +2823,7 @@
         console.log('3D Particle Visualization System Ready');
         console.log('Controls:');
         console.log('  - Right-click canvas to morph to next frame');
+        console.log('  - Touch: long-press or two-finger tap to morph, pinch to scale');
         console.log('  - Press D to toggle control panel');
         console.log('  - Press Ctrl+Shift+D for performance debug');
         console.log('  - Arrow keys rotate when animation is disabled');
\ No newline at end of file